@@ -29,11 +29,44 @@ module.exports = {
   tradeHistoryUpdateInterval: 10000,
   tradeHistoryUnprocessedTransactionExpiry: 600000,
   readBlocksInterval: 10000,
+  // With the markets config, chain query results are shared between markets for this many milliseconds.
+  chainQueryCacheExpiry: 5000,
   // The base chain height at which to enable the DEX.
   dexEnabledFromHeight: 0,
   // Can be used to disable the DEX starting at a specific base chain height.
   dexDisabledFromHeight: null,
   dexDisabledRefundHeightOffset: 303,
+  // The number of base chain blocks after dexEnabledFromHeight during which orders are collected
+  // without being matched; they are then matched at a single price. Disabled if 0.
+  openingAuctionBlockCount: 0,
+  // Can be cancelNewest, cancelOldest or skipMaker; self-trades are allowed if null.
+  selfTradePrevention: null,
+  // Can be continuous or batch; in batch mode, the limit and market orders of each block are matched together
+  // at a single clearing price.
+  matchingMode: 'continuous',
+  // Can be fifo or proRata; with proRata, a taker which only consumes part of a price level is split
+  // between all the makers at that level in proportion to their remaining amounts.
+  priceLevelAllocation: 'fifo',
+  // Limit orders priced more than this percentage away from the reference price are refunded; disabled if null.
+  priceBandPercentage: null,
+  // If the last price moves by more than this percentage within circuitBreakerWindow base chain blocks,
+  // matching is paused for circuitBreakerPauseBlockCount blocks and resumes with an auction; disabled if null.
+  circuitBreakerThreshold: null,
+  circuitBreakerWindow: 10,
+  circuitBreakerPauseBlockCount: 10,
+  ladderMaxLevelCount: 20,
+  // A list of {minVolume, feeDiscountPercentage} tiers; a wallet's volume is the base chain value which it traded
+  // within the last feeTierVolumeWindow base chain blocks (about 30 days with 10 second blocks).
+  feeTiers: [],
+  feeTierVolumeWindow: 259200,
+  // Percentage (a whole number) of the exchange fee collected on an order's payouts which is credited to the
+  // referrer named in the order; referral credits are paid out alongside member dividends.
+  referralFeeSharePercentage: 0,
+  // Limit order prices must be a multiple of the tick size; any price allowed by priceDecimalPrecision if null.
+  // The amount of limit orders must be a multiple of the lotSize of their source chain (in the chains config).
+  tickSize: null,
+  // Can be used to host multiple markets which share the same chains; each key is a market ID.
+  markets: null,
   components: {
     logger: {
       fileLogLevel: 'debug',
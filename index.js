@@ -30,17 +30,36 @@ const DEFAULT_PROTOCOL_EXCLUDE_REASON = false;
 const DEFAULT_PROTOCOL_MAX_ARGUMENT_LENGTH = 64;
 const DEFAULT_PRICE_DECIMAL_PRECISION = 4;
 const DEFAULT_OUTBOUND_TRANSACTION_BLOCK_CACHE_SIZE = 62000;
+const VALID_MARKET_ID_REGEX = /^[a-zA-Z0-9_-]+$/;
+const CHAIN_CRYPTO_OPTION_NAMES = [
+  'chainCryptoLibPath',
+  'passphrase',
+  'encryptedPassphrase',
+  'sharedPassphrase',
+  'encryptedSharedPassphrase'
+];
+const TRADE_ENGINE_EVENTS = [
+  'orderAdded',
+  'orderMatched',
+  'orderPartiallyFilled',
+  'orderExpired',
+  'orderClosed',
+  'snapshotRestored',
+  'circuitBreakerTripped'
+];
 
 /**
  * Capitalisk DEX module specification
  */
 module.exports = class CapitaliskDEXModule {
-  constructor({alias, config, updates, appConfig, logger, updater}) {
+  constructor({alias, config, updates, appConfig, logger, updater, marketId, parentModule}) {
     this.options = {...defaultConfig, ...config};
     this.appConfig = appConfig;
     this.alias = alias || DEFAULT_MODULE_ALIAS;
     this.networkAlias = this.options.networkAlias || this.alias;
     this.updater = updater;
+    this.marketId = marketId == null ? null : marketId;
+    this.parentModule = parentModule || null;
     if (!updates) {
       updates = [];
     }
@@ -86,16 +105,21 @@ module.exports = class CapitaliskDEXModule {
       this.pendingUpdates = [...this.updates];
     }
     this.chainSymbols = Object.keys(this.options.chains);
+    this.logger = logger;
+    if (this.options.markets) {
+      this._createMarketModules({updates, appConfig, logger, updater});
+      return;
+    }
     if (this.chainSymbols.length !== 2) {
-      throw new Error('DEX module can only handle on 2 chains');
+      throw new Error('DEX module can only handle 2 chains per market - Use the markets config to host multiple markets');
     }
-    this.logger = logger;
     this.multisigWalletInfo = {};
     this.isForked = false;
     this.isBaseChainForked = false;
     this.isQuoteChainForked = false;
     this.lastSnapshot = null;
     this.finalizedSnapshot = null;
+    this.finalizedUpdateId = null;
     this.scheduledTransferInfos = [];
     this.pendingTransfers = new Map();
     this.chainSymbols.forEach((chainSymbol) => {
@@ -122,18 +146,79 @@ module.exports = class CapitaliskDEXModule {
     this.priceDecimalPrecision = this.options.priceDecimalPrecision == null ?
       DEFAULT_PRICE_DECIMAL_PRECISION : this.options.priceDecimalPrecision;
 
-    this.outboundTransactionBlockCaches = {};
-    this.outboundTransactionBlockCaches[this.baseChainSymbol] = new Map();
-    this.outboundTransactionBlockCaches[this.quoteChainSymbol] = new Map();
+    if (this.parentModule) {
+      this.outboundTransactionBlockCaches = this.parentModule.outboundTransactionBlockCaches;
+      this.chainQueryCache = this.parentModule.chainQueryCache;
+      this.chainQueryCacheExpiry = this.options.chainQueryCacheExpiry;
+    } else {
+      this.outboundTransactionBlockCaches = {};
+      this.outboundTransactionBlockCaches[this.baseChainSymbol] = new Map();
+      this.outboundTransactionBlockCaches[this.quoteChainSymbol] = new Map();
+      this.chainQueryCache = new Map();
+      this.chainQueryCacheExpiry = 0;
+    }
 
     if (this.priceDecimalPrecision <= 0) {
       throw new Error('DEX module priceDecimalPrecision config must be greater than 0');
     }
 
     this.validPriceRegex = new RegExp(`^([0-9]+[.]?|[0-9]*[.][0-9]{1,${this.priceDecimalPrecision}})$`);
+    this.validPositiveIntegerRegex = /^[1-9][0-9]*$/;
+
+    // The tick size is stored as a number of units of the smallest price increment.
+    if (this.options.tickSize == null) {
+      this.priceTickUnits = 1;
+    } else {
+      let tickUnits = Number(this.options.tickSize) * 10 ** this.priceDecimalPrecision;
+      this.priceTickUnits = Math.round(tickUnits);
+      if (!(this.priceTickUnits > 0) || Math.abs(tickUnits - this.priceTickUnits) > 1e-6) {
+        throw new Error(
+          `DEX module tickSize config must be a positive multiple of the smallest price increment allowed by the priceDecimalPrecision of ${
+            this.priceDecimalPrecision
+          }`
+        );
+      }
+    }
 
     this.defaultMaxOrderAmount = BigInt(Number.MAX_SAFE_INTEGER);
 
+    let { referralFeeSharePercentage } = this.options;
+    if (
+      referralFeeSharePercentage != null &&
+      (!Number.isInteger(referralFeeSharePercentage) || referralFeeSharePercentage < 0 || referralFeeSharePercentage > 100)
+    ) {
+      throw new Error(
+        'The DEX module referralFeeSharePercentage option should be an integer between 0 and 100'
+      );
+    }
+
+    // Each fee tier has a minVolume (in the smallest unit of the base chain) and a feeDiscountPercentage.
+    this.feeTiers = (this.options.feeTiers || []).map((feeTier) => {
+      let feeDiscountPercentage = feeTier.feeDiscountPercentage;
+      if (!Number.isInteger(feeDiscountPercentage) || feeDiscountPercentage < 0 || feeDiscountPercentage > 100) {
+        throw new Error(
+          'Each of the DEX module feeTiers should have a feeDiscountPercentage which is an integer between 0 and 100'
+        );
+      }
+      return {
+        minVolume: BigInt(feeTier.minVolume),
+        feeDiscountPercentage
+      };
+    }).sort((a, b) => {
+      if (a.minVolume < b.minVolume) {
+        return -1;
+      }
+      if (a.minVolume > b.minVolume) {
+        return 1;
+      }
+      return 0;
+    });
+
+    let matchingEngineClass;
+    if (this.options.matchingEngineLibPath) {
+      matchingEngineClass = require(path.resolve(this.options.matchingEngineLibPath));
+    }
+
     this.tradeEngine = new TradeEngine({
       baseCurrency: this.baseChainSymbol,
       quoteCurrency: this.quoteChainSymbol,
@@ -141,7 +226,16 @@ module.exports = class CapitaliskDEXModule {
       quoteOrderHeightExpiry: quoteChainOptions.orderHeightExpiry,
       baseMinPartialTake: BigInt(baseChainOptions.minPartialTake || 0),
       quoteMinPartialTake: BigInt(quoteChainOptions.minPartialTake || 0),
-      priceDecimalPrecision: this.priceDecimalPrecision
+      priceDecimalPrecision: this.priceDecimalPrecision,
+      selfTradePrevention: this.options.selfTradePrevention,
+      matchingMode: this.options.matchingMode,
+      priceLevelAllocation: this.options.priceLevelAllocation,
+      priceBandPercentage: this.options.priceBandPercentage,
+      circuitBreakerThreshold: this.options.circuitBreakerThreshold,
+      circuitBreakerWindow: this.options.circuitBreakerWindow,
+      circuitBreakerPauseBlockCount: this.options.circuitBreakerPauseBlockCount,
+      walletVolumeWindow: this.feeTiers.length ? this.options.feeTierVolumeWindow : null,
+      matchingEngineClass
     });
     this.initialHeights = {
       [this.baseChainSymbol]: 0,
@@ -172,6 +266,8 @@ module.exports = class CapitaliskDEXModule {
 
     this.bigIntFeeCalculators = {};
     this.chainExchangeFeeBases = {};
+    this.chainFeeRates = {};
+    this.chainLotSizes = {};
 
     this.chainSymbols.forEach((chainSymbol) => {
       let chainOptions = this.options.chains[chainSymbol];
@@ -181,107 +277,47 @@ module.exports = class CapitaliskDEXModule {
         offset: chainOptions.timestampOffset || 0
       };
 
+      // The makerFeeRate and takerFeeRate default to the exchangeFeeRate.
+      this.chainFeeRates[chainSymbol] = {
+        maker: chainOptions.makerFeeRate == null ? chainOptions.exchangeFeeRate : chainOptions.makerFeeRate,
+        taker: chainOptions.takerFeeRate == null ? chainOptions.exchangeFeeRate : chainOptions.takerFeeRate
+      };
+
+      // Fee discounts are whole percentages so they can add up to 2 decimal places to the fee rates.
       this.bigIntFeeCalculators[chainSymbol] = new BigIntCalculator({
-        decimalPrecision: this._getDecimalCount(chainOptions.exchangeFeeRate)
+        decimalPrecision: Math.max(
+          this._getDecimalCount(this.chainFeeRates[chainSymbol].maker),
+          this._getDecimalCount(this.chainFeeRates[chainSymbol].taker)
+        ) + (this.feeTiers.length ? 2 : 0)
       });
 
       this.chainExchangeFeeBases[chainSymbol] = BigInt(chainOptions.exchangeFeeBase);
 
-      if (chainOptions.encryptedPassphrase) {
-        if (!CAPITALISK_DEX_PASSWORD) {
-          throw new Error(
-            `Cannot decrypt the encryptedPassphrase from the ${
-              this.alias
-            } module config for the ${
-              chainSymbol
-            } chain without a valid CAPITALISK_DEX_PASSWORD environment variable`
-          );
-        }
-        if (chainOptions.passphrase) {
-          throw new Error(
-            `The ${
-              this.alias
-            } module config for the ${
-              chainSymbol
-            } chain should have either a passphrase or encryptedPassphrase but not both`
-          );
-        }
-        try {
-          let decipher = crypto.createDecipheriv(CIPHER_ALGORITHM, CIPHER_KEY, CIPHER_IV);
-          let decrypted = decipher.update(chainOptions.encryptedPassphrase, 'hex', 'utf8');
-          decrypted += decipher.final('utf8');
-          chainOptions.passphrase = decrypted;
-        } catch (error) {
-          throw new Error(
-            `Failed to decrypt encryptedPassphrase in ${
-              this.alias
-            } config for chain ${
-              chainSymbol
-            } - Check that the CAPITALISK_DEX_PASSWORD environment variable is correct`
-          );
-        }
-      }
-      if (chainOptions.encryptedSharedPassphrase) {
-        if (!CAPITALISK_DEX_PASSWORD) {
-          throw new Error(
-            `Cannot decrypt the encryptedSharedPassphrase from the ${
-              this.alias
-            } config for the ${
-              chainSymbol
-            } chain without a valid CAPITALISK_DEX_PASSWORD environment variable`
-          );
-        }
-        if (chainOptions.sharedPassphrase) {
-          throw new Error(
-            `The ${
-              this.alias
-            } config for the ${
-              chainSymbol
-            } chain should have either a sharedPassphrase or encryptedSharedPassphrase but not both`
-          );
-        }
-        try {
-          let decipher = crypto.createDecipheriv(CIPHER_ALGORITHM, CIPHER_KEY, CIPHER_IV);
-          let decrypted = decipher.update(chainOptions.encryptedSharedPassphrase, 'hex', 'utf8');
-          decrypted += decipher.final('utf8');
-          chainOptions.sharedPassphrase = decrypted;
-        } catch (error) {
-          throw new Error(
-            `Failed to decrypt encryptedSharedPassphrase in ${
-              this.alias
-            } config for chain ${
-              chainSymbol
-            } - Check that the CAPITALISK_DEX_PASSWORD environment variable is correct`
-          );
-        }
-      }
-
-      if (chainOptions.chainCryptoLibPath == null) {
+      this.chainLotSizes[chainSymbol] = BigInt(chainOptions.lotSize || 1);
+      if (this.chainLotSizes[chainSymbol] <= 0n) {
         throw new Error(
           `The ${
             this.alias
           } config for chain ${
             chainSymbol
-          } should specify a chainCryptoLibPath`
+          } should have a lotSize which is greater than 0`
         );
       }
 
-      let ChainCryptoClass = require(path.resolve(chainOptions.chainCryptoLibPath));
-
-      this.chainCrypto[chainSymbol] = new ChainCryptoClass({
-        chainSymbol,
-        chainOptions,
-        logger: this.logger
-      });
+      // The chain crypto instances of markets are created by the parent module and shared between them.
+      if (this.parentModule) {
+        this.chainCrypto[chainSymbol] = this.parentModule.chainCrypto[chainSymbol];
+      } else {
+        this.chainCrypto[chainSymbol] = this._createChainCrypto(chainSymbol, chainOptions);
+      }
     });
 
     if (this.options.dividendLibPath) {
       this.computeDividends = require(path.resolve(this.options.dividendLibPath));
     } else {
-      this.computeDividends = async ({chainSymbol, contributionData, chainOptions, memberCount}) => {
-        return Object.keys(contributionData).map((walletAddress) => {
-          let payableContribution = contributionData[walletAddress] * BigInt(Math.floor(chainOptions.dividendRate * 10000)) / 10000n;
-          let totalPayableAmount = payableContribution * BigInt(Math.floor(chainOptions.exchangeFeeRate * 10000)) / 10000n;
+      this.computeDividends = async ({chainSymbol, feeContributionData, chainOptions, memberCount}) => {
+        return Object.keys(feeContributionData).map((walletAddress) => {
+          let totalPayableAmount = feeContributionData[walletAddress] * BigInt(Math.floor(chainOptions.dividendRate * 10000)) / 10000n;
           return {
             walletAddress,
             amount: totalPayableAmount / BigInt(memberCount)
@@ -298,6 +334,278 @@ module.exports = class CapitaliskDEXModule {
     this.unprocessedQuoteTransactions = [];
   }
 
+  // Each market is handled by its own child module instance; the chain adapters, the block queries and the
+  // outbound transaction caches are shared between them.
+  _createMarketModules({updates, appConfig, logger, updater}) {
+    let { markets, ...sharedOptions } = this.options;
+    this.marketIds = Object.keys(markets);
+    if (!this.marketIds.length) {
+      throw new Error('DEX module markets config must specify at least one market');
+    }
+    this.outboundTransactionBlockCaches = {};
+    this.chainSymbols.forEach((chainSymbol) => {
+      this.outboundTransactionBlockCaches[chainSymbol] = new Map();
+    });
+    this.chainQueryCache = new Map();
+    this.chainCrypto = {};
+    this.chainCryptoLoadPromises = new Map();
+    this.markets = {};
+
+    for (let marketId of this.marketIds) {
+      if (!VALID_MARKET_ID_REGEX.test(marketId)) {
+        throw new Error(
+          `DEX market ID ${
+            marketId
+          } is invalid - It can only contain letters, numbers, underscores and hyphens`
+        );
+      }
+      let marketOptions = markets[marketId] || {};
+      let marketChainOptions = marketOptions.chains || {};
+      let marketChainSymbols = Object.keys(marketChainOptions);
+      if (marketChainSymbols.length !== 2) {
+        throw new Error(`DEX market ${marketId} must specify exactly 2 chains`);
+      }
+      let chains = {};
+      for (let chainSymbol of marketChainSymbols) {
+        if (!this.options.chains[chainSymbol]) {
+          throw new Error(
+            `DEX market ${
+              marketId
+            } uses the ${
+              chainSymbol
+            } chain which is not specified in the chains config of the ${
+              this.alias
+            } module`
+          );
+        }
+        let overriddenCryptoOption = CHAIN_CRYPTO_OPTION_NAMES.find(
+          optionName => (marketChainOptions[chainSymbol] || {})[optionName] != null
+        );
+        if (overriddenCryptoOption) {
+          throw new Error(
+            `DEX market ${
+              marketId
+            } cannot override the ${
+              overriddenCryptoOption
+            } option of the ${
+              chainSymbol
+            } chain since the chain crypto instance is shared between markets`
+          );
+        }
+        chains[chainSymbol] = {
+          ...this.options.chains[chainSymbol],
+          ...marketChainOptions[chainSymbol]
+        };
+        if (!this.chainCrypto[chainSymbol]) {
+          this.chainCrypto[chainSymbol] = this._createChainCrypto(chainSymbol, {...this.options.chains[chainSymbol]});
+        }
+      }
+      // The first market keeps the network alias of the module so that its signature subnet and action route
+      // stay the same as when the module only hosted a single market.
+      let isPrimaryMarket = marketId === this.marketIds[0];
+      this.markets[marketId] = new CapitaliskDEXModule({
+        alias: this.alias,
+        config: {
+          ...sharedOptions,
+          networkAlias: isPrimaryMarket ? this.networkAlias : `${this.networkAlias}-${marketId}`,
+          orderBookUpdateSnapshotDirPath: this._getMarketPath(sharedOptions.orderBookUpdateSnapshotDirPath, marketId),
+          orderBookSnapshotFilePath: this._getMarketPath(sharedOptions.orderBookSnapshotFilePath, marketId),
+          orderBookSnapshotBackupDirPath: this._getMarketPath(sharedOptions.orderBookSnapshotBackupDirPath, marketId),
+          ...marketOptions,
+          chains
+        },
+        updates,
+        appConfig,
+        logger,
+        updater,
+        marketId,
+        parentModule: this
+      });
+    }
+  }
+
+  // The passphrases of the chain options are decrypted in place.
+  _createChainCrypto(chainSymbol, chainOptions) {
+    if (chainOptions.encryptedPassphrase) {
+      if (!CAPITALISK_DEX_PASSWORD) {
+        throw new Error(
+          `Cannot decrypt the encryptedPassphrase from the ${
+            this.alias
+          } module config for the ${
+            chainSymbol
+          } chain without a valid CAPITALISK_DEX_PASSWORD environment variable`
+        );
+      }
+      if (chainOptions.passphrase) {
+        throw new Error(
+          `The ${
+            this.alias
+          } module config for the ${
+            chainSymbol
+          } chain should have either a passphrase or encryptedPassphrase but not both`
+        );
+      }
+      try {
+        let decipher = crypto.createDecipheriv(CIPHER_ALGORITHM, CIPHER_KEY, CIPHER_IV);
+        let decrypted = decipher.update(chainOptions.encryptedPassphrase, 'hex', 'utf8');
+        decrypted += decipher.final('utf8');
+        chainOptions.passphrase = decrypted;
+      } catch (error) {
+        throw new Error(
+          `Failed to decrypt encryptedPassphrase in ${
+            this.alias
+          } config for chain ${
+            chainSymbol
+          } - Check that the CAPITALISK_DEX_PASSWORD environment variable is correct`
+        );
+      }
+    }
+    if (chainOptions.encryptedSharedPassphrase) {
+      if (!CAPITALISK_DEX_PASSWORD) {
+        throw new Error(
+          `Cannot decrypt the encryptedSharedPassphrase from the ${
+            this.alias
+          } config for the ${
+            chainSymbol
+          } chain without a valid CAPITALISK_DEX_PASSWORD environment variable`
+        );
+      }
+      if (chainOptions.sharedPassphrase) {
+        throw new Error(
+          `The ${
+            this.alias
+          } config for the ${
+            chainSymbol
+          } chain should have either a sharedPassphrase or encryptedSharedPassphrase but not both`
+        );
+      }
+      try {
+        let decipher = crypto.createDecipheriv(CIPHER_ALGORITHM, CIPHER_KEY, CIPHER_IV);
+        let decrypted = decipher.update(chainOptions.encryptedSharedPassphrase, 'hex', 'utf8');
+        decrypted += decipher.final('utf8');
+        chainOptions.sharedPassphrase = decrypted;
+      } catch (error) {
+        throw new Error(
+          `Failed to decrypt encryptedSharedPassphrase in ${
+            this.alias
+          } config for chain ${
+            chainSymbol
+          } - Check that the CAPITALISK_DEX_PASSWORD environment variable is correct`
+        );
+      }
+    }
+
+    if (chainOptions.chainCryptoLibPath == null) {
+      throw new Error(
+        `The ${
+          this.alias
+        } config for chain ${
+          chainSymbol
+        } should specify a chainCryptoLibPath`
+      );
+    }
+
+    let ChainCryptoClass = require(path.resolve(chainOptions.chainCryptoLibPath));
+
+    return new ChainCryptoClass({
+      chainSymbol,
+      chainOptions,
+      logger: this.logger
+    });
+  }
+
+  // A chain crypto instance which is shared between markets is only loaded by the first market which needs it.
+  _loadChainCrypto(chainSymbol, channel) {
+    if (!this.parentModule) {
+      return this.chainCrypto[chainSymbol].load(channel, this.processedHeights[chainSymbol]);
+    }
+    let { chainCryptoLoadPromises } = this.parentModule;
+    if (!chainCryptoLoadPromises.has(chainSymbol)) {
+      chainCryptoLoadPromises.set(
+        chainSymbol,
+        this.chainCrypto[chainSymbol].load(channel, this.processedHeights[chainSymbol])
+      );
+    }
+    return chainCryptoLoadPromises.get(chainSymbol);
+  }
+
+  _getMarketPath(filePath, marketId) {
+    let extension = path.extname(filePath);
+    return `${filePath.slice(0, filePath.length - extension.length)}-${marketId}${extension}`;
+  }
+
+  _getMarketModule(marketId) {
+    let marketModule = typeof marketId === 'string' && this.marketIds.includes(marketId) ?
+      this.markets[marketId] : null;
+    if (!marketModule) {
+      let error = new Error(
+        `The market parameter must be one of the following market IDs: ${
+          this.marketIds.join(', ')
+        }`
+      );
+      error.name = 'InvalidQueryError';
+      throw error;
+    }
+    return marketModule;
+  }
+
+  // The update is activated (and the process exits) once every market has saved its update snapshot;
+  // the returned promise does not resolve until then.
+  _activateMarketUpdate(marketId, update) {
+    if (!this.marketUpdateActivation || this.marketUpdateActivation.updateId !== update.id) {
+      let marketUpdateActivation = {
+        updateId: update.id,
+        readyMarketIds: new Set()
+      };
+      marketUpdateActivation.promise = new Promise((resolve) => {
+        marketUpdateActivation.resolve = resolve;
+      });
+      this.marketUpdateActivation = marketUpdateActivation;
+    }
+    let { readyMarketIds } = this.marketUpdateActivation;
+    readyMarketIds.add(marketId);
+    this.logger.info(
+      `Market ${marketId} is ready to activate update ${update.id} - ${readyMarketIds.size} of ${this.marketIds.length} markets are ready`
+    );
+    if (readyMarketIds.size === this.marketIds.length) {
+      this.marketUpdateActivation.resolve();
+    }
+    return this.marketUpdateActivation.promise;
+  }
+
+  // The active update is merged once its snapshot finality has been reached by every market.
+  async _mergeMarketUpdate(marketId, update) {
+    if (!this.marketUpdateMerge || this.marketUpdateMerge.updateId !== update.id) {
+      this.marketUpdateMerge = {
+        updateId: update.id,
+        finalizedMarketIds: new Set()
+      };
+    }
+    let { finalizedMarketIds } = this.marketUpdateMerge;
+    finalizedMarketIds.add(marketId);
+    if (finalizedMarketIds.size < this.marketIds.length) {
+      return;
+    }
+    this.updater.mergeActiveUpdate();
+    await Promise.all(
+      this.marketIds.map(marketId => this.markets[marketId]._deleteUpdateSnapshot(update.id))
+    );
+  }
+
+  _getModuleState() {
+    if (this.markets) {
+      let markets = {};
+      for (let marketId of this.marketIds) {
+        markets[marketId] = this.markets[marketId]._getModuleState();
+      }
+      return {markets};
+    }
+    return {
+      baseAddress: this.baseAddress,
+      quoteAddress: this.quoteAddress
+    };
+  }
+
   get dependencies() {
     let chainConfigList = Object.values(this.options.chains);
     return ['app', 'network'].concat(chainConfigList.map(chainConfig => chainConfig.moduleAlias));
@@ -464,11 +772,15 @@ module.exports = class CapitaliskDEXModule {
 
   get events() {
     return [
-      'bootstrap'
+      'bootstrap',
+      ...TRADE_ENGINE_EVENTS
     ];
   }
 
   get actions() {
+    if (this.markets) {
+      return this._getMarketsActions();
+    }
     return {
       getStatus: {
         isPublic: this.options.apiIsPublic,
@@ -479,10 +791,12 @@ module.exports = class CapitaliskDEXModule {
             processedHeights: this.processedHeights,
             baseChain: this.options.baseChain,
             priceDecimalPrecision: this.priceDecimalPrecision,
+            tickSize: this.options.tickSize,
             chains: {
               [this.baseChainSymbol]: this._getChainInfo(this.baseChainSymbol),
               [this.quoteChainSymbol]: this._getChainInfo(this.quoteChainSymbol)
             },
+            feeTiers: this.feeTiers.map(feeTier => ({...feeTier, minVolume: String(feeTier.minVolume)})),
             pendingUpdates: this.pendingUpdates
           };
         }
@@ -572,6 +886,84 @@ module.exports = class CapitaliskDEXModule {
           });
         }
       },
+      getTriggerOrders: {
+        isPublic: this.options.apiIsPublic,
+        handler: (action) => {
+          let query = {...action.params};
+          let orderIterator = this.tradeEngine.getTriggerOrderIterator();
+          let orderList = this._execQueryAgainstIterator(query, orderIterator, item => item.id);
+          return mapListFields(orderList, {
+            value: String,
+            size: String,
+            sourceChainAmount: String,
+            valueRemaining: String,
+            sizeRemaining: String
+          });
+        }
+      },
+      getAuctionOrders: {
+        isPublic: this.options.apiIsPublic,
+        handler: (action) => {
+          let query = {...action.params};
+          let orderIterator = this.tradeEngine.getAuctionOrderIterator();
+          let orderList = this._execQueryAgainstIterator(query, orderIterator, item => item.id);
+          return mapListFields(orderList, {
+            value: String,
+            size: String,
+            sourceChainAmount: String,
+            valueRemaining: String,
+            sizeRemaining: String
+          });
+        }
+      },
+      getOrderProof: {
+        isPublic: this.options.apiIsPublic,
+        handler: (action) => {
+          let { orderId } = action.params || {};
+          if (typeof orderId !== 'string') {
+            let error = new Error(
+              'The orderId parameter of the query must be a string'
+            );
+            error.name = 'InvalidQueryError';
+            throw error;
+          }
+          return this.tradeEngine.getOrderProof(orderId);
+        }
+      },
+      getFeeTier: {
+        isPublic: this.options.apiIsPublic,
+        handler: (action) => {
+          let { walletAddress } = action.params || {};
+          if (typeof walletAddress !== 'string') {
+            let error = new Error(
+              'The walletAddress parameter of the query must be a string'
+            );
+            error.name = 'InvalidQueryError';
+            throw error;
+          }
+          let feeTier = this._getFeeTier(walletAddress);
+          let nextFeeTier = this.feeTiers[feeTier.tier];
+          let feeRates = {};
+          for (let chainSymbol of this.chainSymbols) {
+            feeRates[chainSymbol] = {
+              makerFeeRate: this._getFeeRate(chainSymbol, 'maker', feeTier.feeDiscountPercentage),
+              takerFeeRate: this._getFeeRate(chainSymbol, 'taker', feeTier.feeDiscountPercentage)
+            };
+          }
+          return {
+            walletAddress,
+            volume: String(feeTier.volume),
+            tier: feeTier.tier,
+            feeDiscountPercentage: feeTier.feeDiscountPercentage,
+            feeRates,
+            nextTier: nextFeeTier ? {
+              tier: feeTier.tier + 1,
+              minVolume: String(nextFeeTier.minVolume),
+              feeDiscountPercentage: nextFeeTier.feeDiscountPercentage
+            } : null
+          };
+        }
+      },
       getOrderBook: {
         isPublic: this.options.apiIsPublic,
         handler: (action) => {
@@ -714,22 +1106,57 @@ module.exports = class CapitaliskDEXModule {
     };
   }
 
-  *_getValuesGenerator(entriesIterator) {
-    for (let [key, value] of entriesIterator) {
-      yield value;
-    }
-  }
-
-  *_getNestedObjectValuesGenerator(iterator) {
-    for (let [key, nestedObject] of iterator) {
-      let values = Object.values(nestedObject);
-      for (let value of values) {
-        yield value;
-      }
+  // When hosting multiple markets, each action takes a market parameter which selects the market to query.
+  _getMarketsActions() {
+    let marketActions = {};
+    for (let marketId of this.marketIds) {
+      marketActions[marketId] = this.markets[marketId].actions;
     }
-  }
-
-  _getChainInfo(chainSymbol) {
+    let actionNames = Object.keys(marketActions[this.marketIds[0]]);
+    let actions = {
+      getMarkets: {
+        isPublic: this.options.apiIsPublic,
+        handler: () => {
+          return this.marketIds.map((marketId) => {
+            let marketModule = this.markets[marketId];
+            return {
+              market: marketId,
+              baseSymbol: marketModule.baseChainSymbol,
+              quoteSymbol: marketModule.quoteChainSymbol
+            };
+          });
+        }
+      }
+    };
+    for (let actionName of actionNames) {
+      actions[actionName] = {
+        isPublic: this.options.apiIsPublic,
+        handler: (action) => {
+          let { market, ...params } = action.params || {};
+          this._getMarketModule(market);
+          return marketActions[market][actionName].handler({...action, params});
+        }
+      };
+    }
+    return actions;
+  }
+
+  *_getValuesGenerator(entriesIterator) {
+    for (let [key, value] of entriesIterator) {
+      yield value;
+    }
+  }
+
+  *_getNestedObjectValuesGenerator(iterator) {
+    for (let [key, nestedObject] of iterator) {
+      let values = Object.values(nestedObject);
+      for (let value of values) {
+        yield value;
+      }
+    }
+  }
+
+  _getChainInfo(chainSymbol) {
     let chainOptions = this.options.chains[chainSymbol];
     let multisigWalletInfo = this.multisigWalletInfo[chainSymbol];
     return {
@@ -742,8 +1169,11 @@ module.exports = class CapitaliskDEXModule {
         chainOptions.maxOrderAmount == null ? this.defaultMaxOrderAmount : chainOptions.maxOrderAmount
       ),
       minPartialTake: String(chainOptions.minPartialTake || 0n),
+      lotSize: String(this.chainLotSizes[chainSymbol]),
       exchangeFeeBase: String(chainOptions.exchangeFeeBase),
       exchangeFeeRate: chainOptions.exchangeFeeRate,
+      makerFeeRate: this.chainFeeRates[chainSymbol].maker,
+      takerFeeRate: this.chainFeeRates[chainSymbol].taker,
       requiredConfirmations: chainOptions.requiredConfirmations,
       orderHeightExpiry: chainOptions.orderHeightExpiry
     };
@@ -965,6 +1395,97 @@ module.exports = class CapitaliskDEXModule {
     return header.split(',')[0] === 't2';
   }
 
+  // Maker trade transactions were charged the makerFeeRate; all other trade transactions were charged the takerFeeRate.
+  // The fee discount of the recipient is the last argument of t1 and t2 transactions if there was one.
+  _getTransactionFeeRate(chainSymbol, transaction) {
+    let transactionData = transaction.message || '';
+    let header = transactionData.split(':')[0];
+    let feeDiscountPercentage = Number(header.split(',')[4] || 0);
+    if (!Number.isInteger(feeDiscountPercentage) || feeDiscountPercentage < 0 || feeDiscountPercentage > 100) {
+      feeDiscountPercentage = 0;
+    }
+    let role = this._isMakerTransaction(transaction) ? 'maker' : 'taker';
+    return this._getFeeRate(chainSymbol, role, feeDiscountPercentage);
+  }
+
+  _getFeeRate(chainSymbol, role, feeDiscountPercentage) {
+    let feeRate = this.chainFeeRates[chainSymbol][role];
+    if (!feeDiscountPercentage) {
+      return feeRate;
+    }
+    let { decimalPrecisionFactor } = this.bigIntFeeCalculators[chainSymbol];
+    return Math.round(feeRate * (100 - feeDiscountPercentage) / 100 * decimalPrecisionFactor) / decimalPrecisionFactor;
+  }
+
+  // Computes the exchange fee which is deducted from a trade payout in addition to the exchangeFeeBase.
+  _computeTradeFee(chainSymbol, role, sourceWalletAddress, amount) {
+    let feeDiscountPercentage = this._getFeeTier(sourceWalletAddress).feeDiscountPercentage;
+    let feeRate = this._getFeeRate(chainSymbol, role, feeDiscountPercentage);
+    let amountAfterFeeBase = amount - this.chainExchangeFeeBases[chainSymbol];
+    return {
+      amount: this.bigIntFeeCalculators[chainSymbol].multiplyBigIntByDecimal(amountAfterFeeBase, feeRate),
+      feeDiscountPercentage
+    };
+  }
+
+  // The referrer of an order is credited a share of the exchange fee which is collected on each of its payouts.
+  // Credits are accrued on every node (including passive ones) and paid out along with member dividends.
+  _creditReferralFees(result, chainHeights) {
+    let referralFeeSharePercentage = this.options.referralFeeSharePercentage;
+    if (!referralFeeSharePercentage || result.rejectReason) {
+      return;
+    }
+    let creditReferrer = (order, role, amount) => {
+      let fee = this._computeTradeFee(order.targetChain, role, order.sourceWalletAddress, amount);
+      // No fee is collected if the payout is not made.
+      if (amount - this.chainExchangeFeeBases[order.targetChain] - fee.amount <= 0n) {
+        return false;
+      }
+      let credit = fee.amount * BigInt(referralFeeSharePercentage) / 100n;
+      if (order.referrerAddress != null && credit > 0n) {
+        this.tradeEngine.addReferralCredit(order.targetChain, order.referrerAddress, credit, chainHeights[order.targetChain]);
+      }
+      return true;
+    };
+    let makerCount = 0;
+    for (let makerOrder of result.makers) {
+      let makerAmount = makerOrder.targetChain === this.baseChainSymbol ? makerOrder.lastValueTaken : makerOrder.lastSizeTaken;
+      if (creditReferrer(makerOrder, 'maker', makerAmount)) {
+        makerCount++;
+      }
+    }
+    if (makerCount) {
+      let takerAmount = result.taker.targetChain === this.baseChainSymbol ? result.takeValue : result.takeSize;
+      creditReferrer(result.taker, 'taker', takerAmount);
+    }
+  }
+
+  // Referral fees are paid out of the exchange fees which were collected over the dividend range so the fee
+  // contribution of each member is reduced by the share of the total fee which goes to referrers.
+  _deductReferralFees(feeContributionData, totalFee, totalReferralAmount) {
+    let remainingFee = totalFee > totalReferralAmount ? totalFee - totalReferralAmount : 0n;
+    let memberFeeContributionData = {};
+    for (let [walletAddress, fee] of Object.entries(feeContributionData)) {
+      memberFeeContributionData[walletAddress] = totalFee > 0n ? fee * remainingFee / totalFee : 0n;
+    }
+    return memberFeeContributionData;
+  }
+
+  // The tier of a wallet depends on the volume which it traded within the last feeTierVolumeWindow base chain blocks.
+  // Tier 0 means that the wallet does not qualify for any of the feeTiers.
+  _getFeeTier(walletAddress) {
+    let volume = this.tradeEngine.getWalletVolume(walletAddress);
+    let tier = 0;
+    let feeDiscountPercentage = 0;
+    this.feeTiers.forEach((feeTier, index) => {
+      if (volume >= feeTier.minVolume) {
+        tier = index + 1;
+        feeDiscountPercentage = feeTier.feeDiscountPercentage;
+      }
+    });
+    return {tier, feeDiscountPercentage, volume};
+  }
+
   async _getRecentPrices() {
     let tradeHistorySize = this.options.tradeHistorySize;
     if (!tradeHistorySize) {
@@ -1082,22 +1603,22 @@ module.exports = class CapitaliskDEXModule {
 
     for (let txnPair of txnPairsList) {
       let baseChainFeeBase = this.chainExchangeFeeBases[this.baseChainSymbol];
-      let baseChainFeeRate = baseChainOptions.exchangeFeeRate;
       let baseTotalFee = baseChainFeeBase * BigInt(txnPair.base.length);
       let baseCalc = this.bigIntFeeCalculators[this.baseChainSymbol];
       let fullBaseAmount = txnPair.base.reduce(
         (accumulator, txn) => {
+          let baseChainFeeRate = this._getTransactionFeeRate(this.baseChainSymbol, txn);
           return accumulator + baseCalc.divideBigIntByDecimal(BigInt(txn.amount), 1 - baseChainFeeRate);
         },
         0n
       ) + baseTotalFee;
 
       let quoteChainFeeBase = this.chainExchangeFeeBases[this.quoteChainSymbol];
-      let quoteChainFeeRate = quoteChainOptions.exchangeFeeRate;
       let quoteTotalFee = quoteChainFeeBase * BigInt(txnPair.quote.length);
       let quoteCalc = this.bigIntFeeCalculators[this.quoteChainSymbol];
       let fullQuoteAmount = txnPair.quote.reduce(
         (accumulator, txn) => {
+          let quoteChainFeeRate = this._getTransactionFeeRate(this.quoteChainSymbol, txn);
           return accumulator + quoteCalc.divideBigIntByDecimal(BigInt(txn.amount), 1 - quoteChainFeeRate);
         },
         0n
@@ -1195,6 +1716,21 @@ module.exports = class CapitaliskDEXModule {
   async load(channel) {
     this.channel = channel;
 
+    if (this.markets) {
+      await Promise.all(
+        this.marketIds.map(marketId => this.markets[marketId].load(channel))
+      );
+      channel.publish(`${this.alias}:bootstrap`);
+      return;
+    }
+
+    for (let eventName of TRADE_ENGINE_EVENTS) {
+      this.tradeEngine.on(eventName, (data) => {
+        let eventData = this.marketId == null ? data : {market: this.marketId, ...data};
+        channel.publish(`${this.alias}:${eventName}`, this._serializeEventData(eventData));
+      });
+    }
+
     try {
       await mkdir(this.orderBookSnapshotBackupDirPath, {recursive: true});
     } catch (error) {
@@ -1267,7 +1803,7 @@ module.exports = class CapitaliskDEXModule {
     await Promise.all(
       this.chainSymbols.map(async (chainSymbol) => {
         try {
-          await this.chainCrypto[chainSymbol].load(channel, this.processedHeights[chainSymbol]);
+          await this._loadChainCrypto(chainSymbol, channel);
         } catch (error) {
           throw new Error(
             `Failed to load ChainCrypto plugin for the ${
@@ -1299,10 +1835,7 @@ module.exports = class CapitaliskDEXModule {
     }, this.options.tradeHistoryUpdateInterval);
 
     await this.channel.invoke('app:updateModuleState', {
-      [this.alias]: {
-        baseAddress: this.baseAddress,
-        quoteAddress: this.quoteAddress
-      }
+      [this.alias]: (this.parentModule || this)._getModuleState()
     });
 
     let hasMultisigWalletsInfo = false;
@@ -1338,17 +1871,6 @@ module.exports = class CapitaliskDEXModule {
       );
     };
 
-    let isTargetAddressValid = (targetChainSymbol, targetWalletAddress) => {
-      if (!targetWalletAddress) {
-        return false;
-      }
-      let targetChainOptions = this.options.chains[targetChainSymbol];
-      if (targetWalletAddress === targetChainOptions.multisigAddress) {
-        return false;
-      }
-      return true;
-    };
-
     let processBlock = async ({chainSymbol, chainHeight, latestChainHeights, blockData}) => {
       this.logger.info(
         `Chain ${chainSymbol}: Processing block at height ${chainHeight}`
@@ -1363,6 +1885,16 @@ module.exports = class CapitaliskDEXModule {
         );
         return;
       }
+      this.tradeEngine.updateWalletVolumes(baseChainHeight);
+
+      // Orders are collected without being matched for the first few blocks after the DEX is enabled.
+      let openingAuctionEndHeight = this.options.dexEnabledFromHeight + this.options.openingAuctionBlockCount;
+      if (baseChainHeight < openingAuctionEndHeight && !this.tradeEngine.isAuctionInProgress()) {
+        this.tradeEngine.startAuction(openingAuctionEndHeight);
+        this.logger.info(
+          `Started opening auction which will end at base chain height ${openingAuctionEndHeight}`
+        );
+      }
       if (!hasMultisigWalletsInfo) {
         await loadMultisigWalletInfo();
         hasMultisigWalletsInfo = true;
@@ -1391,20 +1923,19 @@ module.exports = class CapitaliskDEXModule {
           }
         }
 
+        let { activeUpdate } = this.updater;
         if (
-          this.updater.activeUpdate &&
-          this.updater.activeUpdate.criteria.baseChainHeight <= baseChainHeight - this.options.orderBookSnapshotFinality
+          activeUpdate &&
+          activeUpdate.id !== this.finalizedUpdateId &&
+          activeUpdate.criteria.baseChainHeight <= baseChainHeight - this.options.orderBookSnapshotFinality
         ) {
-          let updateSnapshotFilePath = this._getUpdateSnapshotFilePath(this.updater.activeUpdate.id);
-          this.updater.mergeActiveUpdate();
-          try {
-            await unlink(updateSnapshotFilePath);
-          } catch (error) {
-            this.logger.error(
-              `Failed to delete update snapshot file at path ${
-                updateSnapshotFilePath
-              } because of error: ${error.message}`
-            );
+          this.finalizedUpdateId = activeUpdate.id;
+          if (this.parentModule) {
+            // The update can only be merged once it is final for every market.
+            await this.parentModule._mergeMarketUpdate(this.marketId, activeUpdate);
+          } else {
+            this.updater.mergeActiveUpdate();
+            await this._deleteUpdateSnapshot(activeUpdate.id);
           }
         }
 
@@ -1438,6 +1969,10 @@ module.exports = class CapitaliskDEXModule {
               this.logger.fatal(`Failed to save snapshot before update because of error: ${error.message}`);
             }
             if (!error) {
+              if (this.parentModule) {
+                // Markets stop processing blocks here until every market has saved its update snapshot.
+                await this.parentModule._activateMarketUpdate(this.marketId, update);
+              }
               this.updater.activateUpdate(update);
               process.exit();
             }
@@ -1541,206 +2076,28 @@ module.exports = class CapitaliskDEXModule {
       this.recentTransfersSkipList.deleteRange(0, expiryTimestamp, true);
 
       let orders = inboundTxns.map((txn) => {
-        let orderTxn = {...txn};
-        orderTxn.sourceChain = chainSymbol;
-        orderTxn.sourceWalletAddress = orderTxn.senderAddress;
-        let amount = BigInt(orderTxn.amount);
-
-        let transferMessageString = orderTxn.message == null ? '' : orderTxn.message;
-
-        if (transferMessageString === 'credit') {
-          // The credit operation does nothing - The DEX wallet will simply accept the tokens.
-          orderTxn.type = 'credit';
-          return orderTxn;
-        }
-
-        if (amount > maxOrderAmount) {
-          orderTxn.type = 'oversized';
-          orderTxn.sourceChainAmount = amount;
-          this.logger.debug(
-            `Chain ${chainSymbol}: Incoming order ${orderTxn.id} amount ${orderTxn.sourceChainAmount.toString()} was too large - Maximum order amount is ${maxOrderAmount}`
-          );
-          return orderTxn;
-        }
-
-        orderTxn.sourceChainAmount = amount;
-
-        if (
-          this.options.dexDisabledFromHeight != null &&
-          chainHeight >= this.options.dexDisabledFromHeight
-        ) {
-          if (chainOptions.dexMovedToAddress) {
-            orderTxn.type = 'moved';
-            orderTxn.movedToAddress = chainOptions.dexMovedToAddress;
-            this.logger.debug(
-              `Chain ${chainSymbol}: Cannot process order ${orderTxn.id} because the DEX has moved to the address ${chainOptions.dexMovedToAddress}`
-            );
-            return orderTxn;
-          }
-          orderTxn.type = 'disabled';
-          this.logger.debug(
-            `Chain ${chainSymbol}: Cannot process order ${orderTxn.id} because the DEX has been disabled`
-          );
-          return orderTxn;
-        }
-
-        let dataParts = transferMessageString.split(',');
-        let targetChain = dataParts[0];
-
-        orderTxn.targetChain = targetChain;
-        let isSupportedChain = this.options.chains[targetChain] && targetChain !== chainSymbol;
-        if (!isSupportedChain) {
-          orderTxn.type = 'invalid';
-          orderTxn.reason = 'Invalid target chain';
-          this.logger.debug(
-            `Chain ${chainSymbol}: Incoming order ${orderTxn.id} has an invalid target chain ${targetChain}`
-          );
-          return orderTxn;
-        }
-
-        if (
-          (dataParts[1] === 'limit' || dataParts[1] === 'market') &&
-          amount < minOrderAmount
-        ) {
-          orderTxn.type = 'undersized';
-          this.logger.debug(
-            `Chain ${chainSymbol}: Incoming order ${orderTxn.id} amount ${orderTxn.sourceChainAmount.toString()} was too small - Minimum order amount is ${minOrderAmount}`
-          );
-          return orderTxn;
-        }
-
-        if (this.tradeEngine.wasOrderProcessed(orderTxn.id, chainSymbol, chainHeight)) {
-          orderTxn.type = 'redundant';
-          orderTxn.reason = 'Already processed';
-          this.logger.debug(
-            `Chain ${chainSymbol}: Failed to process order ${orderTxn.id} because it was already processed`
-          );
-          return orderTxn;
-        }
+        return this._parseOrderTransaction(txn, {
+          chainSymbol,
+          chainHeight,
+          minOrderAmount,
+          maxOrderAmount,
+          latestBlockTimestamp
+        });
+      });
 
-        if (dataParts[1] === 'limit') {
-          // E.g. clsk,limit,.5,9205805648791671841L
-          let priceString = dataParts[2];
-          let price = Number(priceString);
-          let targetWalletAddress = dataParts[3];
-          if (!this.validPriceRegex.test(priceString) || isNaN(price) || price === 0) {
-            orderTxn.type = 'invalid';
-            orderTxn.reason = 'Invalid price';
-            this.logger.debug(
-              `Chain ${chainSymbol}: Incoming limit order ${orderTxn.id} has an invalid price`
-            );
-            return orderTxn;
-          }
-          if (!isTargetAddressValid(orderTxn.targetChain, targetWalletAddress)) {
-            orderTxn.type = 'invalid';
-            orderTxn.reason = 'Invalid wallet address';
-            this.logger.debug(
-              `Chain ${chainSymbol}: Incoming limit order ${orderTxn.id} has an invalid target wallet address`
-            );
-            return orderTxn;
-          }
-          if (this._isLimitOrderTooSmallToConvert(chainSymbol, amount, price)) {
-            orderTxn.type = 'invalid';
-            orderTxn.reason = 'Too small to convert';
-            this.logger.debug(
-              `Chain ${chainSymbol}: Incoming limit order ${orderTxn.id} was too small to cover fees`
-            );
-            return orderTxn;
-          }
+      let closeOrders = orders.filter(orderTxn => orderTxn.type === 'close');
 
-          orderTxn.type = 'limit';
-          orderTxn.height = chainHeight;
-          orderTxn.price = price;
-          orderTxn.targetWalletAddress = targetWalletAddress;
-          if (chainSymbol === this.baseChainSymbol) {
-            orderTxn.side = 'bid';
-            orderTxn.value = amount;
-          } else {
-            orderTxn.side = 'ask';
-            orderTxn.size = amount;
-          }
-        } else if (dataParts[1] === 'market') {
-          // E.g. clsk,market,9205805648791671841L
-          let targetWalletAddress = dataParts[2];
-          if (!isTargetAddressValid(orderTxn.targetChain, targetWalletAddress)) {
-            orderTxn.type = 'invalid';
-            orderTxn.reason = 'Invalid wallet address';
-            this.logger.debug(
-              `Chain ${chainSymbol}: Incoming market order ${orderTxn.id} has an invalid target wallet address`
-            );
-            return orderTxn;
-          }
-          if (this._isMarketOrderTooSmallToConvert(chainSymbol, amount)) {
-            orderTxn.type = 'invalid';
-            orderTxn.reason = 'Too small to convert';
-            this.logger.debug(
-              `Chain ${chainSymbol}: Incoming market order ${orderTxn.id} was too small to cover fees`
-            );
-            return orderTxn;
-          }
-          orderTxn.type = 'market';
-          orderTxn.height = chainHeight;
-          orderTxn.targetWalletAddress = targetWalletAddress;
-          if (chainSymbol === this.baseChainSymbol) {
-            orderTxn.side = 'bid';
-            orderTxn.value = amount;
-          } else {
-            orderTxn.side = 'ask';
-            orderTxn.size = amount;
-          }
-        } else if (dataParts[1] === 'close') {
-          // E.g. clsk,close,1787318409505302601
-          let targetOrderId = dataParts[2];
-          if (!targetOrderId) {
-            orderTxn.type = 'invalid';
-            orderTxn.reason = 'Missing order ID';
-            this.logger.debug(
-              `Chain ${chainSymbol}: Incoming close order ${orderTxn.id} is missing an order ID`
-            );
-            return orderTxn;
-          }
+      let closeAllOrders = orders.filter(orderTxn => orderTxn.type === 'close-all');
 
-          let targetOrder = this.tradeEngine.getOrder(targetOrderId);
-          if (!targetOrder) {
-            orderTxn.type = 'invalid';
-            orderTxn.reason = 'Invalid order ID';
-            this.logger.debug(
-              `Chain ${chainSymbol}: Failed to close order with ID ${targetOrderId} because it could not be found`
-            );
-            return orderTxn;
-          }
-          if (targetOrder.sourceChain !== orderTxn.sourceChain) {
-            orderTxn.type = 'invalid';
-            orderTxn.reason = 'Wrong chain';
-            this.logger.debug(
-              `Chain ${chainSymbol}: Could not close order ID ${targetOrderId} because it is on a different chain`
-            );
-            return orderTxn;
-          }
-          if (targetOrder.sourceWalletAddress !== orderTxn.sourceWalletAddress) {
-            orderTxn.type = 'invalid';
-            orderTxn.reason = 'Not authorized';
-            this.logger.debug(
-              `Chain ${chainSymbol}: Could not close order ID ${targetOrderId} because it belongs to a different account`
-            );
-            return orderTxn;
-          }
-          orderTxn.type = 'close';
-          orderTxn.height = chainHeight;
-          orderTxn.orderIdToClose = targetOrderId;
-        } else {
-          orderTxn.type = 'invalid';
-          orderTxn.reason = 'Invalid operation';
-          this.logger.debug(
-            `Chain ${chainSymbol}: Incoming transaction ${orderTxn.id} is not a supported DEX order`
-          );
-        }
-        return orderTxn;
-      });
+      let modifyOrders = orders.filter(orderTxn => orderTxn.type === 'modify');
 
-      let closeOrders = orders.filter(orderTxn => orderTxn.type === 'close');
+      let triggerOrders = orders.filter(
+        orderTxn => orderTxn.type === 'stop' || orderTxn.type === 'takeprofit' || orderTxn.type === 'trailing'
+      );
 
-      let limitAndMarketOrders = orders.filter(orderTxn => orderTxn.type === 'limit' || orderTxn.type === 'market');
+      let limitAndMarketOrders = orders
+        .filter(orderTxn => orderTxn.type === 'limit' || orderTxn.type === 'market' || orderTxn.type === 'ladder')
+        .flatMap(orderTxn => orderTxn.type === 'ladder' ? orderTxn.ladderOrders : [orderTxn]);
 
       let invalidOrders = orders.filter(orderTxn => orderTxn.type === 'invalid');
 
@@ -1843,6 +2200,24 @@ module.exports = class CapitaliskDEXModule {
         });
       }
 
+      let refundExpiredOrder = (expiredOrder, refundHeight) => {
+        let protocolMessage = this._computeProtocolMessage(expiredOrder.sourceChain, 'r2', [expiredOrder.id], 'Expired order');
+        this.scheduleRefundOrder(
+          expiredOrder,
+          latestBlockTimestamp,
+          refundHeight,
+          protocolMessage,
+          {type: 'r2', originOrderId: expiredOrder.id},
+          `Chain ${chainSymbol}: Failed to post multisig refund transaction for expired order ID ${
+            expiredOrder.id
+          } to ${
+            expiredOrder.sourceWalletAddress
+          } on chain ${
+            expiredOrder.sourceChain
+          }`
+        );
+      };
+
       let expiredOrders;
       if (chainSymbol === this.baseChainSymbol) {
         expiredOrders = this.tradeEngine.expireBidOrders(chainHeight);
@@ -1853,28 +2228,45 @@ module.exports = class CapitaliskDEXModule {
         this.logger.info(
           `Chain ${chainSymbol}: Order ${expiredOrder.id} at height ${expiredOrder.height} expired`
         );
-        if (this.passiveMode) {
-          return;
+        if (!this.passiveMode) {
+          refundExpiredOrder(expiredOrder, expiredOrder.expiryHeight);
         }
-        let protocolMessage = this._computeProtocolMessage(expiredOrder.sourceChain, 'r2', [expiredOrder.id], 'Expired order');
-        this.scheduleRefundOrder(
-          expiredOrder,
+      });
+
+      // Timestamp expiry applies to orders on both chains since block timestamps are normalized.
+      let timestampExpiredOrders = this.tradeEngine.expireOrdersByTimestamp(latestBlockTimestamp);
+      timestampExpiredOrders.forEach((expiredOrder) => {
+        this.logger.info(
+          `Chain ${chainSymbol}: Order ${expiredOrder.id} expired at timestamp ${expiredOrder.expiryTimestamp}`
+        );
+        if (!this.passiveMode) {
+          refundExpiredOrder(expiredOrder, latestChainHeights[expiredOrder.sourceChain]);
+        }
+      });
+
+      let scheduleCloseRefund = (targetOrder, orderTxn, refundTxn) => {
+        let protocolMessage = this._computeProtocolMessage(refundTxn.sourceChain, 'r3', [targetOrder.id, orderTxn.id], 'Closed order');
+        this.scheduleRefundTransaction(
+          refundTxn,
           latestBlockTimestamp,
-          expiredOrder.expiryHeight,
           protocolMessage,
-          {type: 'r2', originOrderId: expiredOrder.id},
-          `Chain ${chainSymbol}: Failed to post multisig refund transaction for expired order ID ${
-            expiredOrder.id
+          {type: 'r3', originOrderId: targetOrder.id, closerOrderId: orderTxn.id},
+          `Chain ${chainSymbol}: Failed to post multisig refund transaction for closed order ID ${
+            targetOrder.id
           } to ${
-            expiredOrder.sourceWalletAddress
+            targetOrder.sourceWalletAddress
           } on chain ${
-            expiredOrder.sourceChain
+            targetOrder.sourceChain
           }`
         );
-      });
+      };
 
       closeOrders.forEach((orderTxn) => {
-        let targetOrder = this.tradeEngine.getOrder(orderTxn.orderIdToClose);
+        let targetOrder = (
+          this.tradeEngine.getOrder(orderTxn.orderIdToClose) ||
+          this.tradeEngine.getTriggerOrder(orderTxn.orderIdToClose) ||
+          this.tradeEngine.getAuctionOrder(orderTxn.orderIdToClose)
+        );
         if (!targetOrder) {
           this.logger.warn(
             `Failed to close order with ID ${orderTxn.orderIdToClose} because it could not be found`
@@ -1891,12 +2283,25 @@ module.exports = class CapitaliskDEXModule {
         } else {
           refundTxn.sourceChainAmount = targetOrder.sizeRemaining;
         }
+        if (
+          orderTxn.amountToClose != null &&
+          orderTxn.amountToClose < refundTxn.sourceChainAmount &&
+          !this._isCloseRemainderValid(targetOrder, refundTxn.sourceChainAmount - orderTxn.amountToClose)
+        ) {
+          this.logger.debug(
+            `Chain ${chainSymbol}: Closing the whole order ${targetOrder.id} as part of close order ${orderTxn.id} because the remainder would be too small`
+          );
+          orderTxn.amountToClose = null;
+        }
+        // A partial close only refunds the specified amount; the rest of the order stays in the order book.
+        if (orderTxn.amountToClose != null && orderTxn.amountToClose < refundTxn.sourceChainAmount) {
+          refundTxn.sourceChainAmount = orderTxn.amountToClose;
+        }
         // Also send back any amount which was sent as part of the close order.
         refundTxn.sourceChainAmount += orderTxn.sourceChainAmount;
 
-        let result;
         try {
-          result = this.tradeEngine.addCloseOrder(orderTxn);
+          this.tradeEngine.addCloseOrder(orderTxn);
         } catch (error) {
           this.logger.error(error);
           return;
@@ -1904,56 +2309,127 @@ module.exports = class CapitaliskDEXModule {
         if (this.passiveMode) {
           return;
         }
-        let protocolMessage = this._computeProtocolMessage(refundTxn.sourceChain, 'r3', [targetOrder.id, orderTxn.id], 'Closed order');
-        this.scheduleRefundTransaction(
-          refundTxn,
-          latestBlockTimestamp,
-          protocolMessage,
-          {type: 'r3', originOrderId: targetOrder.id, closerOrderId: orderTxn.id},
-          `Chain ${chainSymbol}: Failed to post multisig refund transaction for closed order ID ${
-            targetOrder.id
-          } to ${
-            targetOrder.sourceWalletAddress
-          } on chain ${
-            targetOrder.sourceChain
-          }`
-        );
+        scheduleCloseRefund(targetOrder, orderTxn, refundTxn);
       });
 
-      limitAndMarketOrders.forEach((orderTxn) => {
-        let result;
+      closeAllOrders.forEach((orderTxn) => {
+        let closedOrders;
         try {
-          result = this.tradeEngine.addOrder(orderTxn);
+          closedOrders = this.tradeEngine.addCloseAllOrder(orderTxn);
         } catch (error) {
-          this.logger.warn(error);
+          this.logger.error(error);
+          return;
+        }
+        if (!closedOrders.length) {
+          this.logger.warn(
+            `Failed to process close-all order with ID ${orderTxn.id} because the account ${orderTxn.sourceWalletAddress} did not have any orders left`
+          );
           return;
         }
         this.logger.info(
-          `Chain ${chainSymbol}: Added order ${orderTxn.id} to the trade matching engine`
+          `Chain ${chainSymbol}: Closed ${closedOrders.length} orders as part of close-all order ${orderTxn.id}`
         );
-
         if (this.passiveMode) {
           return;
         }
+        closedOrders.forEach((targetOrder, index) => {
+          let refundTxn = {
+            sourceChain: targetOrder.sourceChain,
+            sourceWalletAddress: targetOrder.sourceWalletAddress,
+            height: orderTxn.height
+          };
+          if (refundTxn.sourceChain === this.baseChainSymbol) {
+            refundTxn.sourceChainAmount = targetOrder.valueRemaining;
+          } else {
+            refundTxn.sourceChainAmount = targetOrder.sizeRemaining;
+          }
+          // The amount which was sent as part of the close-all order is sent back with the first refund.
+          if (index === 0) {
+            refundTxn.sourceChainAmount += orderTxn.sourceChainAmount;
+          }
+          scheduleCloseRefund(targetOrder, orderTxn, refundTxn);
+        });
+      });
 
-        let takerTargetChain = result.taker.targetChain;
-        let takerChainOptions = this.options.chains[takerTargetChain];
-        let takerTargetChainModuleAlias = takerChainOptions.moduleAlias;
-        let takerAddress = result.taker.targetWalletAddress;
-        let takerAmount = takerTargetChain === this.baseChainSymbol ? result.takeValue : result.takeSize;
-        let feeCalc = this.bigIntFeeCalculators[takerTargetChain];
-        takerAmount -= BigInt(takerChainOptions.exchangeFeeBase);
-        takerAmount -= feeCalc.multiplyBigIntByDecimal(takerAmount, takerChainOptions.exchangeFeeRate);
-
-        let makerCount = 0;
-
-        result.makers.forEach((makerOrder) => {
-          let makerChainOptions = this.options.chains[makerOrder.targetChain];
-          let makerAddress = makerOrder.targetWalletAddress;
+      let settleOrderResult = (result) => {
+        (result.cancelledMakers || []).forEach((makerOrder) => {
+          let refundTxn = {
+            sourceChain: makerOrder.sourceChain,
+            sourceWalletAddress: makerOrder.sourceWalletAddress,
+            height: latestChainHeights[makerOrder.sourceChain]
+          };
+          if (makerOrder.sourceChain === this.baseChainSymbol) {
+            refundTxn.sourceChainAmount = makerOrder.valueRemaining;
+          } else {
+            refundTxn.sourceChainAmount = makerOrder.sizeRemaining;
+          }
+          let protocolMessage = this._computeProtocolMessage(
+            refundTxn.sourceChain,
+            'r3',
+            [makerOrder.id, result.taker.id],
+            'Closed order - Self-trade prevented'
+          );
+          this.scheduleRefundTransaction(
+            refundTxn,
+            latestBlockTimestamp,
+            protocolMessage,
+            {type: 'r3', originOrderId: makerOrder.id, closerOrderId: result.taker.id},
+            `Chain ${chainSymbol}: Failed to post multisig refund transaction for self-trade cancelled order ID ${
+              makerOrder.id
+            } to ${
+              makerOrder.sourceWalletAddress
+            } on chain ${
+              makerOrder.sourceChain
+            }`
+          );
+        });
+
+        if (result.rejectReason) {
+          let refundTxn = {
+            sourceChain: result.taker.sourceChain,
+            sourceWalletAddress: result.taker.sourceWalletAddress,
+            height: latestChainHeights[result.taker.sourceChain]
+          };
+          if (result.taker.sourceChain === this.baseChainSymbol) {
+            refundTxn.sourceChainAmount = result.taker.valueRemaining;
+          } else {
+            refundTxn.sourceChainAmount = result.taker.sizeRemaining;
+          }
+          let protocolMessage = this._computeProtocolMessage(refundTxn.sourceChain, 'r1', [result.taker.id], `Invalid order - ${result.rejectReason}`);
+          this.scheduleRefundTransaction(
+            refundTxn,
+            latestBlockTimestamp,
+            protocolMessage,
+            {type: 'r1', originOrderId: result.taker.id},
+            `Chain ${chainSymbol}: Failed to post multisig refund transaction for rejected order ID ${
+              result.taker.id
+            } to ${
+              result.taker.sourceWalletAddress
+            } on chain ${
+              result.taker.sourceChain
+            }`
+          );
+          return;
+        }
+
+        let takerTargetChain = result.taker.targetChain;
+        let takerChainOptions = this.options.chains[takerTargetChain];
+        let takerTargetChainModuleAlias = takerChainOptions.moduleAlias;
+        let takerAddress = result.taker.targetWalletAddress;
+        let takerAmount = takerTargetChain === this.baseChainSymbol ? result.takeValue : result.takeSize;
+        let takerFee = this._computeTradeFee(takerTargetChain, 'taker', result.taker.sourceWalletAddress, takerAmount);
+        let takerFeeDiscountPercentage = takerFee.feeDiscountPercentage;
+        takerAmount -= this.chainExchangeFeeBases[takerTargetChain] + takerFee.amount;
+
+        let makerCount = 0;
+
+        result.makers.forEach((makerOrder) => {
+          let makerChainOptions = this.options.chains[makerOrder.targetChain];
+          let makerAddress = makerOrder.targetWalletAddress;
           let makerAmount = makerOrder.targetChain === this.baseChainSymbol ? makerOrder.lastValueTaken : makerOrder.lastSizeTaken;
-          let feeCalc = this.bigIntFeeCalculators[makerOrder.targetChain];
-          makerAmount -= BigInt(makerChainOptions.exchangeFeeBase);
-          makerAmount -= feeCalc.multiplyBigIntByDecimal(makerAmount, makerChainOptions.exchangeFeeRate);
+          let makerFee = this._computeTradeFee(makerOrder.targetChain, 'maker', makerOrder.sourceWalletAddress, makerAmount);
+          let makerFeeDiscountPercentage = makerFee.feeDiscountPercentage;
+          makerAmount -= this.chainExchangeFeeBases[makerOrder.targetChain] + makerFee.amount;
 
           if (makerAmount <= 0n) {
             this.logger.error(
@@ -1970,10 +2446,14 @@ module.exports = class CapitaliskDEXModule {
             timestamp: latestBlockTimestamp,
             height: latestChainHeights[makerOrder.targetChain]
           };
+          let makerMessageArgs = [makerOrder.sourceChain, makerOrder.id, result.taker.id];
+          if (makerFeeDiscountPercentage) {
+            makerMessageArgs.push(makerFeeDiscountPercentage);
+          }
           let protocolMessage = this._computeProtocolMessage(
             makerOrder.targetChain,
             't2',
-            [makerOrder.sourceChain, makerOrder.id, result.taker.id],
+            makerMessageArgs,
             'Order made'
           );
           this.scheduleMultisigTransaction(
@@ -1994,10 +2474,14 @@ module.exports = class CapitaliskDEXModule {
               timestamp: latestBlockTimestamp,
               height: latestChainHeights[takerTargetChain]
             };
+            let takerMessageArgs = [result.taker.sourceChain, result.taker.id, makerCount];
+            if (takerFeeDiscountPercentage) {
+              takerMessageArgs.push(takerFeeDiscountPercentage);
+            }
             let protocolMessage = this._computeProtocolMessage(
               takerTargetChain,
               't1',
-              [result.taker.sourceChain, result.taker.id, makerCount],
+              takerMessageArgs,
               'Orders taken'
             );
             this.scheduleMultisigTransaction(
@@ -2009,16 +2493,16 @@ module.exports = class CapitaliskDEXModule {
             );
           } else {
             this.logger.warn(
-              `Chain ${chainSymbol}: Did not post the taker trade order ${orderTxn.id} because the amount after fees was less than or equal to 0`
+              `Chain ${chainSymbol}: Did not post the taker trade order ${result.taker.id} because the amount after fees was less than or equal to 0`
             );
           }
         }
 
-        if (orderTxn.type === 'market') {
+        if (result.taker.type === 'market' || result.taker.timeInForce || result.remainderCancelReason) {
           let refundTxn = {
             sourceChain: result.taker.sourceChain,
             sourceWalletAddress: result.taker.sourceWalletAddress,
-            height: orderTxn.height
+            height: latestChainHeights[result.taker.sourceChain]
           };
           if (result.taker.sourceChain === this.baseChainSymbol) {
             refundTxn.sourceChainAmount = result.taker.valueRemaining;
@@ -2026,15 +2510,19 @@ module.exports = class CapitaliskDEXModule {
             refundTxn.sourceChainAmount = result.taker.sizeRemaining;
           }
           if (refundTxn.sourceChainAmount > 0n) {
-            let protocolMessage = this._computeProtocolMessage(refundTxn.sourceChain, 'r4', [orderTxn.id], 'Unmatched market order part');
+            let reasonMessage = result.taker.type === 'market' ? 'Unmatched market order part' : 'Unmatched order part';
+            if (result.remainderCancelReason) {
+              reasonMessage = `${reasonMessage} - ${result.remainderCancelReason}`;
+            }
+            let protocolMessage = this._computeProtocolMessage(refundTxn.sourceChain, 'r4', [result.taker.id], reasonMessage);
             this.scheduleRefundTransaction(
               refundTxn,
               latestBlockTimestamp,
               protocolMessage,
-              {type: 'r4', originOrderId: orderTxn.id},
+              {type: 'r4', originOrderId: result.taker.id},
               `Chain ${
                 chainSymbol
-              }: Failed to post multisig market order refund transaction of taker ${
+              }: Failed to post multisig unmatched order refund transaction of taker ${
                 takerAddress
               } on chain ${
                 takerTargetChain
@@ -2042,8 +2530,175 @@ module.exports = class CapitaliskDEXModule {
             );
           }
         }
+      };
+
+      let processOrderResult = (result) => {
+        this._creditReferralFees(result, latestChainHeights);
+        if (!this.passiveMode) {
+          settleOrderResult(result);
+        }
+      };
+
+      let processTriggeredOrders = () => {
+        let results = this.tradeEngine.processTriggerOrders();
+        for (let result of results) {
+          this.logger.info(
+            `Chain ${chainSymbol}: Triggered order ${result.taker.id} was added to the trade matching engine`
+          );
+          processOrderResult(result);
+        }
+      };
+
+      if (this.tradeEngine.isAuctionInProgress() && baseChainHeight >= this.tradeEngine.auctionEndHeight) {
+        let results = this.tradeEngine.endAuction();
+        this.logger.info(
+          `Chain ${chainSymbol}: Ended auction with ${results.length} orders at base chain height ${baseChainHeight}`
+        );
+        for (let result of results) {
+          processOrderResult(result);
+        }
+
+        processTriggeredOrders();
+      }
+
+      let modifyErrorReasons = {
+        OrderNotFoundError: 'Order not found',
+        PriceBandError: 'Price outside of price band',
+        PostOnlyOrderError: 'Post-only order would take liquidity'
+      };
+
+      modifyOrders.forEach((orderTxn) => {
+        let result;
+        try {
+          result = this.tradeEngine.addModifyOrder(orderTxn);
+        } catch (error) {
+          this.logger.warn(error);
+          if (this.passiveMode) {
+            return;
+          }
+          let reasonMessage = `Invalid order - ${modifyErrorReasons[error.name] || 'Order could not be modified'}`;
+          let protocolMessage = this._computeProtocolMessage(orderTxn.sourceChain, 'r1', [orderTxn.id], reasonMessage);
+          this.scheduleRefundTransaction(
+            orderTxn,
+            latestBlockTimestamp,
+            protocolMessage,
+            {type: 'r1', originOrderId: orderTxn.id},
+            `Chain ${chainSymbol}: Failed to post multisig refund transaction for failed modify order ID ${
+              orderTxn.id
+            } to ${
+              orderTxn.sourceWalletAddress
+            } on chain ${
+              orderTxn.sourceChain
+            }`
+          );
+          return;
+        }
+        this.logger.info(
+          `Chain ${chainSymbol}: Moved order ${orderTxn.orderIdToModify} to the price ${orderTxn.price} as part of modify order ${orderTxn.id}`
+        );
+
+        // Like with a close order, the amount which was sent as part of the modify order is sent back.
+        if (!this.passiveMode) {
+          let protocolMessage = this._computeProtocolMessage(
+            orderTxn.sourceChain,
+            'r3',
+            [orderTxn.orderIdToModify, orderTxn.id],
+            'Modified order'
+          );
+          this.scheduleRefundTransaction(
+            orderTxn,
+            latestBlockTimestamp,
+            protocolMessage,
+            {type: 'r3', originOrderId: orderTxn.orderIdToModify, closerOrderId: orderTxn.id},
+            `Chain ${chainSymbol}: Failed to post multisig refund transaction for modify order ID ${
+              orderTxn.id
+            } to ${
+              orderTxn.sourceWalletAddress
+            } on chain ${
+              orderTxn.sourceChain
+            }`
+          );
+        }
+
+        processOrderResult(result);
+
+        processTriggeredOrders();
+      });
+
+      triggerOrders.forEach((orderTxn) => {
+        try {
+          this.tradeEngine.addTriggerOrder(orderTxn);
+        } catch (error) {
+          this.logger.warn(error);
+          return;
+        }
+        this.logger.info(
+          `Chain ${chainSymbol}: Added ${orderTxn.type} order ${orderTxn.id} to the trade matching engine`
+        );
       });
 
+      // Trigger orders which are already past their trigger price will be activated right away.
+      processTriggeredOrders();
+
+      if (this.tradeEngine.isAuctionInProgress()) {
+        limitAndMarketOrders.forEach((orderTxn) => {
+          try {
+            this.tradeEngine.addAuctionOrder(orderTxn);
+          } catch (error) {
+            this.logger.warn(error);
+            return;
+          }
+          this.logger.info(
+            `Chain ${chainSymbol}: Added order ${orderTxn.id} to the auction`
+          );
+        });
+      } else if (this.tradeEngine.matchingMode === 'batch') {
+        let batchOrders = [];
+        limitAndMarketOrders.forEach((orderTxn) => {
+          try {
+            batchOrders.push(this.tradeEngine.prepareOrder(orderTxn));
+          } catch (error) {
+            this.logger.warn(error);
+          }
+        });
+        let results = this.tradeEngine.matchOrderBatch(batchOrders);
+        for (let result of results) {
+          this.logger.info(
+            `Chain ${chainSymbol}: Added order ${result.taker.id} to the trade matching engine as part of a batch`
+          );
+          processOrderResult(result);
+        }
+
+        processTriggeredOrders();
+      } else {
+        limitAndMarketOrders.forEach((orderTxn) => {
+          let result;
+          try {
+            result = this.tradeEngine.addOrder(orderTxn);
+          } catch (error) {
+            this.logger.warn(error);
+            return;
+          }
+          this.logger.info(
+            `Chain ${chainSymbol}: Added order ${orderTxn.id} to the trade matching engine`
+          );
+
+          processOrderResult(result);
+
+          processTriggeredOrders();
+        });
+      }
+
+      if (this.tradeEngine.updateCircuitBreaker(baseChainHeight)) {
+        this.logger.warn(
+          `Chain ${chainSymbol}: Circuit breaker was tripped at base chain height ${
+            baseChainHeight
+          } - Orders will be held until the auction ends at base chain height ${
+            this.tradeEngine.auctionEndHeight
+          }`
+        );
+      }
+
       await this.flushScheduledTransactions();
 
       this.processedHeights = {...latestChainHeights};
@@ -2059,6 +2714,8 @@ module.exports = class CapitaliskDEXModule {
       }
 
       let contributionData = {};
+      let feeContributionData = {};
+      let totalFee = 0n;
       let currentBlock = await this._getBlockAtHeight(chainSymbol, fromHeight);
 
       while (currentBlock) {
@@ -2089,21 +2746,32 @@ module.exports = class CapitaliskDEXModule {
           }
           let outboundTxns = await this._getOutboundTransactionsFromBlock(chainSymbol, chainOptions.multisigAddress, block.id);
           outboundTxns.forEach((txn) => {
-            let contributionList = this._computeContributions(chainSymbol, txn, chainOptions.exchangeFeeRate);
+            let contributionList = this._computeContributions(chainSymbol, txn);
+            if (contributionList.length) {
+              totalFee += BigInt(contributionList[0].fee);
+            }
             contributionList.forEach((contribution) => {
               if (!contributionData[contribution.walletAddress]) {
                 contributionData[contribution.walletAddress] = 0n;
+                feeContributionData[contribution.walletAddress] = 0n;
               }
               contributionData[contribution.walletAddress] += BigInt(contribution.amount);
+              feeContributionData[contribution.walletAddress] += BigInt(contribution.fee);
             });
           });
         }
         currentBlock = blocksToProcess[blocksToProcess.length - 1];
       }
+
+      // Credits which are too small to cover the exchangeFeeBase are carried over to the next dividend cycle.
+      let referralCredits = this.tradeEngine.takeReferralCredits(chainSymbol, toHeight, this.chainExchangeFeeBases[chainSymbol]);
+      let totalReferralAmount = referralCredits.reduce((total, referralCredit) => total + referralCredit.amount, 0n);
+
       let { memberCount } = this.multisigWalletInfo[chainSymbol];
       let dividendList = await this.computeDividends({
         chainSymbol,
         contributionData,
+        feeContributionData: this._deductReferralFees(feeContributionData, totalFee, totalReferralAmount),
         chainOptions,
         memberCount,
         fromHeight,
@@ -2136,6 +2804,15 @@ module.exports = class CapitaliskDEXModule {
           `Chain ${chainSymbol}: Failed to post multisig dividend transaction to member address ${dividend.walletAddress}`
         );
       }
+
+      this._scheduleReferralFeeTransactions({
+        chainSymbol,
+        referralCredits,
+        fromHeight,
+        toHeight,
+        chainHeight,
+        latestBlockTimestamp
+      });
     };
 
     let baseChainForkTargetHeight = 0;
@@ -2432,7 +3109,28 @@ module.exports = class CapitaliskDEXModule {
 
     startProcessingBlockchains();
 
-    channel.publish(`${this.alias}:bootstrap`);
+    // When hosting multiple markets, the parent module publishes the bootstrap event once all markets are loaded.
+    if (!this.parentModule) {
+      channel.publish(`${this.alias}:bootstrap`);
+    }
+  }
+
+  // BigInt values cannot be sent over the channel so they are converted to strings.
+  _serializeEventData(data) {
+    if (typeof data === 'bigint') {
+      return data.toString();
+    }
+    if (Array.isArray(data)) {
+      return data.map(item => this._serializeEventData(item));
+    }
+    if (data && typeof data === 'object') {
+      let serializedData = {};
+      for (let [key, value] of Object.entries(data)) {
+        serializedData[key] = this._serializeEventData(value);
+      }
+      return serializedData;
+    }
+    return data;
   }
 
   _isBlockSequenceValid(blockList, lastProcessedHeight) {
@@ -2446,7 +3144,7 @@ module.exports = class CapitaliskDEXModule {
     return true;
   }
 
-  _computeContributions(chainSymbol, transaction, exchangeFeeRate) {
+  _computeContributions(chainSymbol, transaction) {
     transaction = {...transaction};
     if (!transaction.asset) {
       transaction.asset = {};
@@ -2461,7 +3159,9 @@ module.exports = class CapitaliskDEXModule {
     }
 
     let feeCalc = this.bigIntFeeCalculators[chainSymbol];
-    let amountBeforeFee = feeCalc.divideBigIntByDecimal(BigInt(transaction.amount), 1 - exchangeFeeRate);
+    let feeRate = this._getTransactionFeeRate(chainSymbol, transaction);
+    let amountBeforeFee = feeCalc.divideBigIntByDecimal(BigInt(transaction.amount), 1 - feeRate);
+    let fee = feeCalc.multiplyBigIntByDecimal(amountBeforeFee, feeRate);
     let memberSignatures = transaction.signatures || [];
 
     return memberSignatures.map((signaturePacket) => {
@@ -2471,7 +3171,8 @@ module.exports = class CapitaliskDEXModule {
       }
       return {
         walletAddress: signerAddress,
-        amount: amountBeforeFee
+        amount: amountBeforeFee,
+        fee
       };
     }).filter(dividend => !!dividend);
   }
@@ -2491,6 +3192,19 @@ module.exports = class CapitaliskDEXModule {
     );
   }
 
+  // The remainder of a partially closed order needs to pass the same checks as the amount of a new order.
+  _isCloseRemainderValid(targetOrder, remainder) {
+    let { sourceChain } = targetOrder;
+    if (remainder < BigInt(this.options.chains[sourceChain].minOrderAmount || 0)) {
+      return false;
+    }
+    if (targetOrder.price != null && !this._isAmountOnLotGrid(sourceChain, remainder)) {
+      return false;
+    }
+    let conversionPrice = targetOrder.price == null ? targetOrder.triggerPrice : targetOrder.price;
+    return conversionPrice == null || !this._isLimitOrderTooSmallToConvert(sourceChain, remainder, conversionPrice);
+  }
+
   _isMarketOrderTooSmallToConvert(chainSymbol, amount) {
     if (chainSymbol === this.baseChainSymbol) {
       let { price: quoteChainPrice } = this.tradeEngine.peekAsks() || {};
@@ -2508,6 +3222,756 @@ module.exports = class CapitaliskDEXModule {
     );
   }
 
+  _applyOrderOptions(orderTxn, orderOptions, chainHeight) {
+    if (orderOptions.timeInForce) {
+      orderTxn.timeInForce = orderOptions.timeInForce;
+    }
+    if (orderOptions.postOnly) {
+      orderTxn.postOnly = true;
+    }
+    // The trade engine caps the expiry height to the chain's orderHeightExpiry.
+    if (orderOptions.expiryBlockCount != null) {
+      orderTxn.expiryHeight = chainHeight + orderOptions.expiryBlockCount;
+    } else if (orderOptions.expiryHeight != null) {
+      orderTxn.expiryHeight = orderOptions.expiryHeight;
+    }
+    if (orderOptions.expiryTimestamp != null) {
+      orderTxn.expiryTimestamp = orderOptions.expiryTimestamp;
+    }
+  }
+
+  _isPriceOnTickGrid(price) {
+    let priceUnits = Math.round(price * 10 ** this.priceDecimalPrecision);
+    return priceUnits % this.priceTickUnits === 0;
+  }
+
+  _isAmountOnLotGrid(chainSymbol, amount) {
+    return amount % this.chainLotSizes[chainSymbol] === 0n;
+  }
+
+  // Level prices are rounded to the tick size.
+  // Returns null if the price range is too narrow for every level to have a distinct price.
+  _computeLadderPrices(minPrice, maxPrice, levelCount) {
+    let pricePrecisionFactor = 10 ** this.priceDecimalPrecision;
+    let priceStep = (maxPrice - minPrice) / (levelCount - 1);
+    let levelPrices = [];
+    for (let i = 0; i < levelCount; i++) {
+      let priceTicks = Math.round((minPrice + priceStep * i) * pricePrecisionFactor / this.priceTickUnits);
+      let price = priceTicks * this.priceTickUnits / pricePrecisionFactor;
+      if (i > 0 && price <= levelPrices[i - 1]) {
+        return null;
+      }
+      levelPrices.push(price);
+    }
+    return levelPrices;
+  }
+
+  _isTargetAddressValid(targetChainSymbol, targetWalletAddress) {
+    if (!targetWalletAddress) {
+      return false;
+    }
+    let targetChainOptions = this.options.chains[targetChainSymbol];
+    if (targetWalletAddress === targetChainOptions.multisigAddress) {
+      return false;
+    }
+    return true;
+  }
+
+  _parseOrderTransaction(txn, {chainSymbol, chainHeight, minOrderAmount, maxOrderAmount, latestBlockTimestamp}) {
+    let chainOptions = this.options.chains[chainSymbol];
+    let orderTxn = {...txn};
+    orderTxn.sourceChain = chainSymbol;
+    orderTxn.sourceWalletAddress = orderTxn.senderAddress;
+    let amount = BigInt(orderTxn.amount);
+
+    let transferMessageString = orderTxn.message == null ? '' : orderTxn.message;
+
+    if (transferMessageString === 'credit') {
+      // The credit operation does nothing - The DEX wallet will simply accept the tokens.
+      orderTxn.type = 'credit';
+      return orderTxn;
+    }
+
+    if (amount > maxOrderAmount) {
+      orderTxn.type = 'oversized';
+      orderTxn.sourceChainAmount = amount;
+      this.logger.debug(
+        `Chain ${chainSymbol}: Incoming order ${orderTxn.id} amount ${orderTxn.sourceChainAmount.toString()} was too large - Maximum order amount is ${maxOrderAmount}`
+      );
+      return orderTxn;
+    }
+
+    orderTxn.sourceChainAmount = amount;
+
+    if (
+      this.options.dexDisabledFromHeight != null &&
+      chainHeight >= this.options.dexDisabledFromHeight
+    ) {
+      if (chainOptions.dexMovedToAddress) {
+        orderTxn.type = 'moved';
+        orderTxn.movedToAddress = chainOptions.dexMovedToAddress;
+        this.logger.debug(
+          `Chain ${chainSymbol}: Cannot process order ${orderTxn.id} because the DEX has moved to the address ${chainOptions.dexMovedToAddress}`
+        );
+        return orderTxn;
+      }
+      orderTxn.type = 'disabled';
+      this.logger.debug(
+        `Chain ${chainSymbol}: Cannot process order ${orderTxn.id} because the DEX has been disabled`
+      );
+      return orderTxn;
+    }
+
+    let dataParts = transferMessageString.split(',');
+    let targetChain = dataParts[0];
+
+    orderTxn.targetChain = targetChain;
+    let isSupportedChain = this.options.chains[targetChain] && targetChain !== chainSymbol;
+    if (!isSupportedChain) {
+      orderTxn.type = 'invalid';
+      orderTxn.reason = 'Invalid target chain';
+      this.logger.debug(
+        `Chain ${chainSymbol}: Incoming order ${orderTxn.id} has an invalid target chain ${targetChain}`
+      );
+      return orderTxn;
+    }
+
+    if (
+      (
+        dataParts[1] === 'limit' ||
+        dataParts[1] === 'ladder' ||
+        dataParts[1] === 'market' ||
+        dataParts[1] === 'stop' ||
+        dataParts[1] === 'takeprofit' ||
+        dataParts[1] === 'trailing'
+      ) &&
+      amount < minOrderAmount
+    ) {
+      orderTxn.type = 'undersized';
+      this.logger.debug(
+        `Chain ${chainSymbol}: Incoming order ${orderTxn.id} amount ${orderTxn.sourceChainAmount.toString()} was too small - Minimum order amount is ${minOrderAmount}`
+      );
+      return orderTxn;
+    }
+
+    if (this.tradeEngine.wasOrderProcessed(orderTxn.id, chainSymbol, chainHeight)) {
+      orderTxn.type = 'redundant';
+      orderTxn.reason = 'Already processed';
+      this.logger.debug(
+        `Chain ${chainSymbol}: Failed to process order ${orderTxn.id} because it was already processed`
+      );
+      return orderTxn;
+    }
+
+    // E.g. clsk,market,9205805648791671841L,ref=7637735266347734423L
+    let lastDataPart = dataParts[dataParts.length - 1];
+    if (dataParts.length > 2 && lastDataPart.startsWith('ref=')) {
+      let referrerAddress = lastDataPart.slice(4);
+      dataParts = dataParts.slice(0, -1);
+      if (
+        dataParts[1] === 'close' ||
+        dataParts[1] === 'close-all' ||
+        dataParts[1] === 'modify' ||
+        !this._isTargetAddressValid(targetChain, referrerAddress)
+      ) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Invalid referrer address';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming order ${orderTxn.id} has an invalid referrer address ${referrerAddress}`
+        );
+        return orderTxn;
+      }
+      orderTxn.referrerAddress = referrerAddress;
+    }
+
+    if (dataParts[1] === 'limit') {
+      // E.g. clsk,limit,.5,9205805648791671841L
+      let priceString = dataParts[2];
+      let price = Number(priceString);
+      let targetWalletAddress = dataParts[3];
+      if (!this.validPriceRegex.test(priceString) || isNaN(price) || price === 0) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Invalid price';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming limit order ${orderTxn.id} has an invalid price`
+        );
+        return orderTxn;
+      }
+      if (!this._isPriceOnTickGrid(price)) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Price not a multiple of tick size';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming limit order ${orderTxn.id} has a price which is not a multiple of the tick size`
+        );
+        return orderTxn;
+      }
+      if (!this._isAmountOnLotGrid(chainSymbol, amount)) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Amount not a multiple of lot size';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming limit order ${orderTxn.id} has an amount which is not a multiple of the lot size`
+        );
+        return orderTxn;
+      }
+      if (!this._isTargetAddressValid(orderTxn.targetChain, targetWalletAddress)) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Invalid wallet address';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming limit order ${orderTxn.id} has an invalid target wallet address`
+        );
+        return orderTxn;
+      }
+      let orderOptions = this._parseOrderOptions(dataParts.slice(4));
+      if (!orderOptions) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Invalid order options';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming limit order ${orderTxn.id} has invalid order options`
+        );
+        return orderTxn;
+      }
+      if (orderOptions.expiryHeight != null && orderOptions.expiryHeight <= chainHeight) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Invalid expiry height';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming limit order ${orderTxn.id} has an expiry height which is not above the current height`
+        );
+        return orderTxn;
+      }
+      if (orderOptions.expiryTimestamp != null && orderOptions.expiryTimestamp <= latestBlockTimestamp) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Invalid expiry timestamp';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming limit order ${orderTxn.id} has an expiry timestamp which is not after the current block timestamp`
+        );
+        return orderTxn;
+      }
+      if (this._isLimitOrderTooSmallToConvert(chainSymbol, amount, price)) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Too small to convert';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming limit order ${orderTxn.id} was too small to cover fees`
+        );
+        return orderTxn;
+      }
+
+      orderTxn.type = 'limit';
+      orderTxn.height = chainHeight;
+      orderTxn.price = price;
+      orderTxn.targetWalletAddress = targetWalletAddress;
+      this._applyOrderOptions(orderTxn, orderOptions, chainHeight);
+      if (chainSymbol === this.baseChainSymbol) {
+        orderTxn.side = 'bid';
+        orderTxn.value = amount;
+      } else {
+        orderTxn.side = 'ask';
+        orderTxn.size = amount;
+      }
+    } else if (dataParts[1] === 'ladder') {
+      return this._parseLadderOrder(orderTxn, dataParts, {
+        chainSymbol,
+        chainHeight,
+        amount,
+        minOrderAmount,
+        latestBlockTimestamp
+      });
+    } else if (dataParts[1] === 'market') {
+      // E.g. clsk,market,9205805648791671841L or clsk,market,9205805648791671841L,.6
+      let targetWalletAddress = dataParts[2];
+      let worstPriceString = dataParts[3];
+      let worstPrice = Number(worstPriceString);
+      if (!this._isTargetAddressValid(orderTxn.targetChain, targetWalletAddress)) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Invalid wallet address';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming market order ${orderTxn.id} has an invalid target wallet address`
+        );
+        return orderTxn;
+      }
+      if (
+        worstPriceString != null &&
+        (!this.validPriceRegex.test(worstPriceString) || isNaN(worstPrice) || worstPrice === 0)
+      ) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Invalid price';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming market order ${orderTxn.id} has an invalid worst price`
+        );
+        return orderTxn;
+      }
+      if (this._isMarketOrderTooSmallToConvert(chainSymbol, amount)) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Too small to convert';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming market order ${orderTxn.id} was too small to cover fees`
+        );
+        return orderTxn;
+      }
+      orderTxn.type = 'market';
+      orderTxn.height = chainHeight;
+      orderTxn.targetWalletAddress = targetWalletAddress;
+      if (worstPriceString != null) {
+        orderTxn.price = worstPrice;
+      }
+      if (chainSymbol === this.baseChainSymbol) {
+        orderTxn.side = 'bid';
+        orderTxn.value = amount;
+      } else {
+        orderTxn.side = 'ask';
+        orderTxn.size = amount;
+      }
+    } else if (dataParts[1] === 'stop' || dataParts[1] === 'takeprofit') {
+      // E.g. clsk,stop,.4,9205805648791671841L or clsk,takeprofit,.6,9205805648791671841L,.59
+      let triggerPriceString = dataParts[2];
+      let triggerPrice = Number(triggerPriceString);
+      let targetWalletAddress = dataParts[3];
+      let limitPriceString = dataParts[4];
+      let limitPrice = Number(limitPriceString);
+      if (!this.validPriceRegex.test(triggerPriceString) || isNaN(triggerPrice) || triggerPrice === 0) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Invalid trigger price';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming ${dataParts[1]} order ${orderTxn.id} has an invalid trigger price`
+        );
+        return orderTxn;
+      }
+      if (
+        limitPriceString != null &&
+        (!this.validPriceRegex.test(limitPriceString) || isNaN(limitPrice) || limitPrice === 0)
+      ) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Invalid price';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming ${dataParts[1]} order ${orderTxn.id} has an invalid limit price`
+        );
+        return orderTxn;
+      }
+      if (limitPriceString != null && !this._isPriceOnTickGrid(limitPrice)) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Price not a multiple of tick size';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming ${dataParts[1]} order ${orderTxn.id} has a limit price which is not a multiple of the tick size`
+        );
+        return orderTxn;
+      }
+      if (limitPriceString != null && !this._isAmountOnLotGrid(chainSymbol, amount)) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Amount not a multiple of lot size';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming ${dataParts[1]} order ${orderTxn.id} has an amount which is not a multiple of the lot size`
+        );
+        return orderTxn;
+      }
+      if (!this._isTargetAddressValid(orderTxn.targetChain, targetWalletAddress)) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Invalid wallet address';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming ${dataParts[1]} order ${orderTxn.id} has an invalid target wallet address`
+        );
+        return orderTxn;
+      }
+      let conversionPrice = limitPriceString == null ? triggerPrice : limitPrice;
+      if (this._isLimitOrderTooSmallToConvert(chainSymbol, amount, conversionPrice)) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Too small to convert';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming ${dataParts[1]} order ${orderTxn.id} was too small to cover fees`
+        );
+        return orderTxn;
+      }
+
+      orderTxn.type = dataParts[1];
+      orderTxn.height = chainHeight;
+      orderTxn.triggerPrice = triggerPrice;
+      if (limitPriceString != null) {
+        orderTxn.price = limitPrice;
+      }
+      orderTxn.targetWalletAddress = targetWalletAddress;
+      if (chainSymbol === this.baseChainSymbol) {
+        orderTxn.side = 'bid';
+        orderTxn.value = amount;
+      } else {
+        orderTxn.side = 'ask';
+        orderTxn.size = amount;
+      }
+    } else if (dataParts[1] === 'trailing') {
+      // E.g. clsk,trailing,.05,9205805648791671841L or clsk,trailing,5%,9205805648791671841L
+      let trailingDistanceString = dataParts[2] || '';
+      let targetWalletAddress = dataParts[3];
+      let isPercentage = trailingDistanceString.endsWith('%');
+      let trailingNumberString = isPercentage ? trailingDistanceString.slice(0, -1) : trailingDistanceString;
+      let trailingNumber = Number(trailingNumberString);
+      if (
+        !this.validPriceRegex.test(trailingNumberString) ||
+        isNaN(trailingNumber) ||
+        trailingNumber === 0 ||
+        (isPercentage && trailingNumber >= 100)
+      ) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Invalid trailing distance';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming trailing order ${orderTxn.id} has an invalid trailing distance`
+        );
+        return orderTxn;
+      }
+      if (!this._isTargetAddressValid(orderTxn.targetChain, targetWalletAddress)) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Invalid wallet address';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming trailing order ${orderTxn.id} has an invalid target wallet address`
+        );
+        return orderTxn;
+      }
+      if (this._isMarketOrderTooSmallToConvert(chainSymbol, amount)) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Too small to convert';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming trailing order ${orderTxn.id} was too small to cover fees`
+        );
+        return orderTxn;
+      }
+
+      orderTxn.type = 'trailing';
+      orderTxn.height = chainHeight;
+      if (isPercentage) {
+        orderTxn.trailingPercentage = trailingNumber;
+      } else {
+        orderTxn.trailingOffset = trailingNumber;
+      }
+      orderTxn.targetWalletAddress = targetWalletAddress;
+      if (chainSymbol === this.baseChainSymbol) {
+        orderTxn.side = 'bid';
+        orderTxn.value = amount;
+      } else {
+        orderTxn.side = 'ask';
+        orderTxn.size = amount;
+      }
+    } else if (dataParts[1] === 'close') {
+      // E.g. clsk,close,1787318409505302601 or clsk,close,1787318409505302601,100000000
+      let targetOrderId = dataParts[2];
+      let amountToCloseString = dataParts[3];
+      if (!targetOrderId) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Missing order ID';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming close order ${orderTxn.id} is missing an order ID`
+        );
+        return orderTxn;
+      }
+      if (amountToCloseString != null && !this.validPositiveIntegerRegex.test(amountToCloseString)) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Invalid amount';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming close order ${orderTxn.id} has an invalid amount`
+        );
+        return orderTxn;
+      }
+
+      let targetOrder = (
+        this.tradeEngine.getOrder(targetOrderId) ||
+        this.tradeEngine.getTriggerOrder(targetOrderId) ||
+        this.tradeEngine.getAuctionOrder(targetOrderId)
+      );
+      if (!targetOrder) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Invalid order ID';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Failed to close order with ID ${targetOrderId} because it could not be found`
+        );
+        return orderTxn;
+      }
+      if (targetOrder.sourceChain !== orderTxn.sourceChain) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Wrong chain';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Could not close order ID ${targetOrderId} because it is on a different chain`
+        );
+        return orderTxn;
+      }
+      if (targetOrder.sourceWalletAddress !== orderTxn.sourceWalletAddress) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Not authorized';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Could not close order ID ${targetOrderId} because it belongs to a different account`
+        );
+        return orderTxn;
+      }
+      orderTxn.type = 'close';
+      orderTxn.height = chainHeight;
+      orderTxn.orderIdToClose = targetOrderId;
+      if (amountToCloseString != null) {
+        orderTxn.amountToClose = BigInt(amountToCloseString);
+      }
+    } else if (dataParts[1] === 'close-all') {
+      // E.g. clsk,close-all
+      let targetOrders = this.tradeEngine.getSourceWalletCloseableOrders(orderTxn.sourceWalletAddress, orderTxn.sourceChain);
+      if (!targetOrders.length) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'No orders to close';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming close-all order ${orderTxn.id} did not match any orders from the account ${orderTxn.sourceWalletAddress}`
+        );
+        return orderTxn;
+      }
+      orderTxn.type = 'close-all';
+      orderTxn.height = chainHeight;
+    } else if (dataParts[1] === 'modify') {
+      // E.g. clsk,modify,1787318409505302601,.6
+      let targetOrderId = dataParts[2];
+      let priceString = dataParts[3];
+      let price = Number(priceString);
+      if (!targetOrderId) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Missing order ID';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming modify order ${orderTxn.id} is missing an order ID`
+        );
+        return orderTxn;
+      }
+      if (priceString == null || !this.validPriceRegex.test(priceString) || isNaN(price) || price === 0) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Invalid price';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming modify order ${orderTxn.id} has an invalid price`
+        );
+        return orderTxn;
+      }
+      if (!this._isPriceOnTickGrid(price)) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Price not a multiple of tick size';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Incoming modify order ${orderTxn.id} has a price which is not a multiple of the tick size`
+        );
+        return orderTxn;
+      }
+
+      let targetOrder = this.tradeEngine.getOrder(targetOrderId);
+      if (!targetOrder) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Invalid order ID';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Failed to modify order with ID ${targetOrderId} because it could not be found`
+        );
+        return orderTxn;
+      }
+      if (targetOrder.sourceChain !== orderTxn.sourceChain) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Wrong chain';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Could not modify order ID ${targetOrderId} because it is on a different chain`
+        );
+        return orderTxn;
+      }
+      if (targetOrder.sourceWalletAddress !== orderTxn.sourceWalletAddress) {
+        orderTxn.type = 'invalid';
+        orderTxn.reason = 'Not authorized';
+        this.logger.debug(
+          `Chain ${chainSymbol}: Could not modify order ID ${targetOrderId} because it belongs to a different account`
+        );
+        return orderTxn;
+      }
+      orderTxn.type = 'modify';
+      orderTxn.height = chainHeight;
+      orderTxn.orderIdToModify = targetOrderId;
+      orderTxn.price = price;
+    } else {
+      orderTxn.type = 'invalid';
+      orderTxn.reason = 'Invalid operation';
+      this.logger.debug(
+        `Chain ${chainSymbol}: Incoming transaction ${orderTxn.id} is not a supported DEX order`
+      );
+    }
+    return orderTxn;
+  }
+
+  // A ladder order is split into levelCount limit orders; any leftover amount goes to the last level.
+  _parseLadderOrder(orderTxn, dataParts, {chainSymbol, chainHeight, amount, minOrderAmount, latestBlockTimestamp}) {
+    // E.g. clsk,ladder,.5,.6,5,9205805648791671841L
+    let minPriceString = dataParts[2];
+    let maxPriceString = dataParts[3];
+    let levelCountString = dataParts[4];
+    let targetWalletAddress = dataParts[5];
+    let minPrice = Number(minPriceString);
+    let maxPrice = Number(maxPriceString);
+    let levelCount = Number(levelCountString);
+    if (
+      !this.validPriceRegex.test(minPriceString) || isNaN(minPrice) || minPrice === 0 ||
+      !this.validPriceRegex.test(maxPriceString) || isNaN(maxPrice) || maxPrice <= minPrice
+    ) {
+      orderTxn.type = 'invalid';
+      orderTxn.reason = 'Invalid price range';
+      this.logger.debug(
+        `Chain ${chainSymbol}: Incoming ladder order ${orderTxn.id} has an invalid price range`
+      );
+      return orderTxn;
+    }
+    if (!this._isPriceOnTickGrid(minPrice) || !this._isPriceOnTickGrid(maxPrice)) {
+      orderTxn.type = 'invalid';
+      orderTxn.reason = 'Price not a multiple of tick size';
+      this.logger.debug(
+        `Chain ${chainSymbol}: Incoming ladder order ${orderTxn.id} has a price range which is not a multiple of the tick size`
+      );
+      return orderTxn;
+    }
+    if (
+      !this.validPositiveIntegerRegex.test(levelCountString) ||
+      levelCount < 2 ||
+      levelCount > this.options.ladderMaxLevelCount
+    ) {
+      orderTxn.type = 'invalid';
+      orderTxn.reason = 'Invalid level count';
+      this.logger.debug(
+        `Chain ${chainSymbol}: Incoming ladder order ${orderTxn.id} has an invalid level count - It must be between 2 and ${this.options.ladderMaxLevelCount}`
+      );
+      return orderTxn;
+    }
+    if (!this._isTargetAddressValid(orderTxn.targetChain, targetWalletAddress)) {
+      orderTxn.type = 'invalid';
+      orderTxn.reason = 'Invalid wallet address';
+      this.logger.debug(
+        `Chain ${chainSymbol}: Incoming ladder order ${orderTxn.id} has an invalid target wallet address`
+      );
+      return orderTxn;
+    }
+    let orderOptions = this._parseOrderOptions(dataParts.slice(6));
+    if (!orderOptions) {
+      orderTxn.type = 'invalid';
+      orderTxn.reason = 'Invalid order options';
+      this.logger.debug(
+        `Chain ${chainSymbol}: Incoming ladder order ${orderTxn.id} has invalid order options`
+      );
+      return orderTxn;
+    }
+    if (orderOptions.expiryHeight != null && orderOptions.expiryHeight <= chainHeight) {
+      orderTxn.type = 'invalid';
+      orderTxn.reason = 'Invalid expiry height';
+      this.logger.debug(
+        `Chain ${chainSymbol}: Incoming ladder order ${orderTxn.id} has an expiry height which is not above the current height`
+      );
+      return orderTxn;
+    }
+    if (orderOptions.expiryTimestamp != null && orderOptions.expiryTimestamp <= latestBlockTimestamp) {
+      orderTxn.type = 'invalid';
+      orderTxn.reason = 'Invalid expiry timestamp';
+      this.logger.debug(
+        `Chain ${chainSymbol}: Incoming ladder order ${orderTxn.id} has an expiry timestamp which is not after the current block timestamp`
+      );
+      return orderTxn;
+    }
+    let levelPrices = this._computeLadderPrices(minPrice, maxPrice, levelCount);
+    if (!levelPrices) {
+      orderTxn.type = 'invalid';
+      orderTxn.reason = 'Invalid price range';
+      this.logger.debug(
+        `Chain ${chainSymbol}: Incoming ladder order ${orderTxn.id} has a price range which is too narrow for ${levelCount} levels`
+      );
+      return orderTxn;
+    }
+    let levelAmount = amount / BigInt(levelCount);
+    let lastLevelAmount = levelAmount + amount % BigInt(levelCount);
+    // Otherwise the minimum order amount could be bypassed by splitting an order into levels.
+    if (levelAmount < minOrderAmount) {
+      orderTxn.type = 'invalid';
+      orderTxn.reason = 'Undersized level';
+      this.logger.debug(
+        `Chain ${chainSymbol}: Incoming ladder order ${orderTxn.id} level amount ${levelAmount} was too small - Minimum order amount is ${minOrderAmount}`
+      );
+      return orderTxn;
+    }
+    if (
+      !this._isAmountOnLotGrid(chainSymbol, levelAmount) ||
+      !this._isAmountOnLotGrid(chainSymbol, lastLevelAmount)
+    ) {
+      orderTxn.type = 'invalid';
+      orderTxn.reason = 'Amount not a multiple of lot size';
+      this.logger.debug(
+        `Chain ${chainSymbol}: Incoming ladder order ${orderTxn.id} has level amounts which are not a multiple of the lot size`
+      );
+      return orderTxn;
+    }
+    if (
+      this._isLimitOrderTooSmallToConvert(chainSymbol, levelAmount, minPrice) ||
+      this._isLimitOrderTooSmallToConvert(chainSymbol, levelAmount, maxPrice)
+    ) {
+      orderTxn.type = 'invalid';
+      orderTxn.reason = 'Too small to convert';
+      this.logger.debug(
+        `Chain ${chainSymbol}: Incoming ladder order ${orderTxn.id} levels were too small to cover fees`
+      );
+      return orderTxn;
+    }
+
+    orderTxn.type = 'ladder';
+    orderTxn.height = chainHeight;
+    // Each level becomes a separate limit order with an ID which is derived from the ladder order ID.
+    orderTxn.ladderOrders = levelPrices.map((price, index) => {
+      let levelOrderAmount = index === levelCount - 1 ? lastLevelAmount : levelAmount;
+      let levelOrderTxn = {
+        ...orderTxn,
+        id: `${orderTxn.id}-${index}`,
+        type: 'limit',
+        price,
+        targetWalletAddress,
+        sourceChainAmount: levelOrderAmount
+      };
+      delete levelOrderTxn.ladderOrders;
+      this._applyOrderOptions(levelOrderTxn, orderOptions, chainHeight);
+      if (chainSymbol === this.baseChainSymbol) {
+        levelOrderTxn.side = 'bid';
+        levelOrderTxn.value = levelOrderAmount;
+      } else {
+        levelOrderTxn.side = 'ask';
+        levelOrderTxn.size = levelOrderAmount;
+      }
+      return levelOrderTxn;
+    });
+    return orderTxn;
+  }
+
+  _parseOrderOptions(optionParts) {
+    let orderOptions = {};
+    for (let optionPart of optionParts) {
+      if (optionPart === 'ioc' || optionPart === 'fok') {
+        if (orderOptions.timeInForce) {
+          return null;
+        }
+        orderOptions.timeInForce = optionPart;
+      } else if (optionPart === 'post') {
+        if (orderOptions.postOnly) {
+          return null;
+        }
+        orderOptions.postOnly = true;
+      } else if (optionPart.startsWith('gtt=')) {
+        let optionValue = optionPart.slice(4);
+        if (orderOptions.expiryTimestamp != null || !this.validPositiveIntegerRegex.test(optionValue)) {
+          return null;
+        }
+        orderOptions.expiryTimestamp = Number(optionValue);
+      } else if (optionPart.startsWith('ttl=') || optionPart.startsWith('exp=')) {
+        let [optionName, optionValue] = optionPart.split('=');
+        if (
+          orderOptions.expiryBlockCount != null ||
+          orderOptions.expiryHeight != null ||
+          !this.validPositiveIntegerRegex.test(optionValue)
+        ) {
+          return null;
+        }
+        if (optionName === 'ttl') {
+          orderOptions.expiryBlockCount = Number(optionValue);
+        } else {
+          orderOptions.expiryHeight = Number(optionValue);
+        }
+      } else {
+        return null;
+      }
+    }
+    // A post-only order needs to rest in the order book.
+    if (orderOptions.postOnly && orderOptions.timeInForce) {
+      return null;
+    }
+    return orderOptions;
+  }
+
   _sha1(string) {
     return crypto.createHash('sha1').update(string).digest('hex');
   }
@@ -2579,9 +4043,46 @@ module.exports = class CapitaliskDEXModule {
     return this.channel.invoke(`${chainOptions.moduleAlias}:getOutboundTransactions`, {walletAddress, fromTimestamp, limit});
   }
 
-  async _getInboundTransactionsFromBlock(chainSymbol, walletAddress, blockId) {
+  // Identical queries which are in progress are only sent to the chain module once. With multiple markets,
+  // the results are also kept for chainQueryCacheExpiry milliseconds so that markets which process the same
+  // blocks a bit later can reuse them. The result is shared so it must be copied before it is modified.
+  _invokeChainQuery(chainSymbol, procedure, params) {
     let chainOptions = this.options.chains[chainSymbol];
-    let txns = await this.channel.invoke(`${chainOptions.moduleAlias}:getInboundTransactionsFromBlock`, {walletAddress, blockId});
+    let queryKey = `${chainOptions.moduleAlias}:${procedure},${JSON.stringify(params)}`;
+    let now = Date.now();
+    // Settled entries are moved to the end of the map so they are in expiry order.
+    for (let [cachedQueryKey, cachedQuery] of this.chainQueryCache) {
+      if (cachedQuery.expiry == null || cachedQuery.expiry > now) {
+        break;
+      }
+      this.chainQueryCache.delete(cachedQueryKey);
+    }
+    let cachedQuery = this.chainQueryCache.get(queryKey);
+    if (cachedQuery) {
+      return cachedQuery.result;
+    }
+    let result = this.channel.invoke(`${chainOptions.moduleAlias}:${procedure}`, params);
+    let query = {result, expiry: null};
+    this.chainQueryCache.set(queryKey, query);
+    result.then(
+      () => {
+        if (this.chainQueryCacheExpiry > 0) {
+          this.chainQueryCache.delete(queryKey);
+          query.expiry = Date.now() + this.chainQueryCacheExpiry;
+          this.chainQueryCache.set(queryKey, query);
+        } else {
+          this.chainQueryCache.delete(queryKey);
+        }
+      },
+      () => {
+        this.chainQueryCache.delete(queryKey);
+      }
+    );
+    return result;
+  }
+
+  async _getInboundTransactionsFromBlock(chainSymbol, walletAddress, blockId) {
+    let txns = await this._invokeChainQuery(chainSymbol, 'getInboundTransactionsFromBlock', {walletAddress, blockId});
 
     let transactions = txns.map(txn => ({
       ...txn,
@@ -2600,7 +4101,7 @@ module.exports = class CapitaliskDEXModule {
       return cachedTransactions;
     }
     let chainOptions = this.options.chains[chainSymbol];
-    let txns = await this.channel.invoke(`${chainOptions.moduleAlias}:getOutboundTransactionsFromBlock`, {walletAddress, blockId});
+    let txns = await this._invokeChainQuery(chainSymbol, 'getOutboundTransactionsFromBlock', {walletAddress, blockId});
 
     let transactions = txns.map(txn => ({
       ...txn,
@@ -2622,26 +4123,30 @@ module.exports = class CapitaliskDEXModule {
   }
 
   async _getMaxBlockHeight(chainSymbol, includeSkipped) {
-    let chainOptions = this.options.chains[chainSymbol];
-    return this.channel.invoke(`${chainOptions.moduleAlias}:getMaxBlockHeight`, {includeSkipped: !!includeSkipped});
+    return this._invokeChainQuery(chainSymbol, 'getMaxBlockHeight', {includeSkipped: !!includeSkipped});
   }
 
   async _getBlocksBetweenHeights(chainSymbol, fromHeight, toHeight, limit, includeSkipped) {
-    let chainOptions = this.options.chains[chainSymbol];
-    let blocks = await this.channel.invoke(`${chainOptions.moduleAlias}:getBlocksBetweenHeights`, {fromHeight, toHeight, limit, includeSkipped: !!includeSkipped});
+    let blockList = await this._invokeChainQuery(chainSymbol, 'getBlocksBetweenHeights', {fromHeight, toHeight, limit, includeSkipped: !!includeSkipped});
+    let blocks = blockList.map(block => ({...block}));
     this._normalizeListTimestamps(chainSymbol, blocks);
     return blocks;
   }
 
   async _getBlockAtHeight(chainSymbol, height) {
-    let chainOptions = this.options.chains[chainSymbol];
-    let block = await this.channel.invoke(`${chainOptions.moduleAlias}:getBlockAtHeight`, {height});
+    let block = await this._invokeChainQuery(chainSymbol, 'getBlockAtHeight', {height});
+    if (block) {
+      block = {...block};
+    }
     this._normalizeObjectTimestamp(chainSymbol, block);
     return block;
   }
 
   scheduleRefundOrderBook(snapshot, timestamp, movedToAddresses) {
-    let allOrders = snapshot.orderBook.bidLimitOrders.concat(snapshot.orderBook.askLimitOrders);
+    let allOrders = snapshot.orderBook.bidLimitOrders
+      .concat(snapshot.orderBook.askLimitOrders)
+      .concat(snapshot.orderBook.triggerOrders || [])
+      .concat(snapshot.orderBook.auctionOrders || []);
     for (let order of allOrders) {
       let movedToAddress = movedToAddresses[order.sourceChain];
       let failureMessage = `Failed to post refund transaction for order ${order.id} as part of full order book refund`;
@@ -2675,14 +4180,38 @@ module.exports = class CapitaliskDEXModule {
       sourceWalletAddress: order.sourceWalletAddress,
       height: refundHeight
     };
+    // Snapshot orders have their amounts as strings.
     if (order.sourceChain === this.baseChainSymbol) {
-      refundTxn.sourceChainAmount = order.valueRemaining;
+      refundTxn.sourceChainAmount = BigInt(order.valueRemaining);
     } else {
-      refundTxn.sourceChainAmount = order.sizeRemaining;
+      refundTxn.sourceChainAmount = BigInt(order.sizeRemaining);
     }
     this.scheduleRefundTransaction(refundTxn, timestamp, reason, extraTransferData, failureMessage);
   }
 
+  // Credits which were carried over from previous dividend cycles are paid as part of the current cycle so the
+  // d2 range is always the same as the d1 range and the ranges paid to a referrer never overlap.
+  _scheduleReferralFeeTransactions({chainSymbol, referralCredits, fromHeight, toHeight, chainHeight, latestBlockTimestamp}) {
+    let chainOptions = this.options.chains[chainSymbol];
+    for (let referralCredit of referralCredits) {
+      let referralTxn = {
+        recipientAddress: referralCredit.walletAddress,
+        amount: (referralCredit.amount - this.chainExchangeFeeBases[chainSymbol]).toString(),
+        fee: chainOptions.exchangeFeeBase.toString(),
+        timestamp: latestBlockTimestamp,
+        height: chainHeight
+      };
+      let protocolMessage = this._computeProtocolMessage(chainSymbol, 'd2', [fromHeight + 1, toHeight], 'Referral fee');
+      this.scheduleMultisigTransaction(
+        chainSymbol,
+        referralTxn,
+        protocolMessage,
+        null,
+        `Chain ${chainSymbol}: Failed to post multisig referral fee transaction to referrer address ${referralCredit.walletAddress}`
+      );
+    }
+  }
+
   _computeProtocolMessage(chainSymbol, code, args, reasonMessage) {
     let chainOptions = this.options.chains[chainSymbol];
     let maxArgLength = chainOptions.protocolMaxArgumentLength || DEFAULT_PROTOCOL_MAX_ARGUMENT_LENGTH;
@@ -2829,6 +4358,19 @@ module.exports = class CapitaliskDEXModule {
     this.pendingTransfers.set(preparedTxn.id, transfer);
   }
 
+  async _deleteUpdateSnapshot(updateId) {
+    let updateSnapshotFilePath = this._getUpdateSnapshotFilePath(updateId);
+    try {
+      await unlink(updateSnapshotFilePath);
+    } catch (error) {
+      this.logger.error(
+        `Failed to delete update snapshot file at path ${
+          updateSnapshotFilePath
+        } because of error: ${error.message}`
+      );
+    }
+  }
+
   _getUpdateSnapshotFilePath(updateId) {
     return path.join(this.orderBookUpdateSnapshotDirPath, `snapshot-${updateId}.json`);
   }
@@ -2939,11 +4481,24 @@ module.exports = class CapitaliskDEXModule {
   }
 
   async unload() {
+    if (this.markets) {
+      await Promise.all(
+        this.marketIds.map(marketId => this.markets[marketId].unload())
+      );
+      await Promise.all(
+        Object.values(this.chainCrypto).map(chainCrypto => chainCrypto.unload())
+      );
+      return;
+    }
     this._processBlockchains = false;
     clearInterval(this._multisigExpiryInterval);
     clearInterval(this._multisigFlushInterval);
     clearInterval(this._signatureFlushInterval);
     clearInterval(this._tradeHistoryUpdateInterval);
+    // Shared chain crypto instances are unloaded by the parent module once all the markets have been unloaded.
+    if (this.parentModule) {
+      return;
+    }
     await Promise.all(
       this.chainSymbols.map(async (chainSymbol) => {
         return this.chainCrypto[chainSymbol].unload();
@@ -0,0 +1,221 @@
+const BigOrderBook = require('big-order-book');
+const { allocateProRata, distributeProRata } = require('./utils');
+
+// The default matching engine used by the TradeEngine; the interface which a custom matching engine needs to
+// implement is described in the README and the TradeEngine does not use anything else.
+// Some of the methods below rely on the internals of BigOrderBook (orderItemMap, bidList, askList, order counts
+// and _insertAsk/_insertBid) so the big-order-book dependency is pinned to an exact version; these need to be
+// checked whenever it is upgraded since all DEX members must match orders in the same way.
+// The priceLevelAllocation option can be fifo (price-time priority) or proRata.
+class MatchingEngine extends BigOrderBook {
+  constructor(options) {
+    super(options);
+    this.priceLevelAllocation = this.options.priceLevelAllocation || 'fifo';
+  }
+
+  add(order) {
+    if (this.priceLevelAllocation !== 'proRata') {
+      return super.add(order);
+    }
+    this._normalizeTaker(order);
+    let partialLevel = this._findPartialLevel(order);
+    if (!partialLevel) {
+      return super.add(order);
+    }
+
+    let makers = [];
+    let takeSize = 0n;
+    let takeValue = 0n;
+
+    // The levels before the partial level are consumed entirely so they can be matched in the usual way;
+    // the taker is given a temporary limit price so that it stops before the partial level.
+    if (partialLevel.previousPrice != null) {
+      let {type, price} = order;
+      order.type = 'limit';
+      order.price = partialLevel.previousPrice;
+      let result = super.add(order);
+      this.remove(order.id);
+      order.type = type;
+      if (price == null) {
+        delete order.price;
+      } else {
+        order.price = price;
+      }
+      makers = result.makers;
+      takeSize = result.takeSize;
+      takeValue = result.takeValue;
+    }
+
+    let levelResult = this._takeFromLevelProRata(order, partialLevel.price, partialLevel.list);
+    return {
+      taker: {...order},
+      makers: makers.concat(levelResult.makers),
+      takeSize: takeSize + levelResult.takeSize,
+      takeValue: takeValue + levelResult.takeValue
+    };
+  }
+
+  _normalizeTaker(order) {
+    if (order.type === 'limit' && order.price != null) {
+      order.price = Math.round(order.price * this.pricePrecisionFactor) / this.pricePrecisionFactor;
+    }
+    if (order.side === 'ask') {
+      order.sizeRemaining = order.sizeRemaining == null ? BigInt(order.size) : BigInt(order.sizeRemaining);
+    } else {
+      order.valueRemaining = order.valueRemaining == null ? BigInt(order.value) : BigInt(order.valueRemaining);
+    }
+    order.lastSizeTaken = order.lastSizeTaken == null ? 0n : BigInt(order.lastSizeTaken);
+    order.lastValueTaken = order.lastValueTaken == null ? 0n : BigInt(order.lastValueTaken);
+  }
+
+  // Finds the price level which the taker would only consume partially; the makers at that level are the ones
+  // which need to share the fill. Matching is simulated in the same way as in BigOrderBook.
+  _findPartialLevel(order) {
+    let isAsk = order.side === 'ask';
+    let levelIterator = isAsk ? this.bidList.findEntriesFromMax() : this.askList.findEntriesFromMin();
+    let remaining = isAsk ? order.sizeRemaining : order.valueRemaining;
+    let previousPrice = null;
+    for (let [price, list] of levelIterator) {
+      if (
+        remaining <= 0n ||
+        (order.type === 'limit' && (isAsk ? order.price > price : order.price < price))
+      ) {
+        return null;
+      }
+      let levelStartRemaining = remaining;
+      let currentItem = list.head;
+      while (currentItem) {
+        let maker = currentItem.order;
+        let isFullTake;
+        if (isAsk) {
+          isFullTake = this._convertSizeToValue(remaining, price) >= maker.valueRemaining;
+          remaining -= isFullTake ? this._convertValueToSize(maker.valueRemaining, price) : remaining;
+        } else {
+          isFullTake = this._convertValueToSize(remaining, price) >= maker.sizeRemaining;
+          remaining -= isFullTake ? this._convertSizeToValue(maker.sizeRemaining, price) : remaining;
+        }
+        if (!isFullTake || (remaining <= 0n && currentItem.next)) {
+          let levelStartAmount = isAsk ?
+            this._convertSizeToValue(levelStartRemaining, price) :
+            this._convertValueToSize(levelStartRemaining, price);
+          return list.size > 1 && levelStartAmount > 0n ? {price, list, previousPrice} : null;
+        }
+        currentItem = currentItem.next;
+      }
+      previousPrice = price;
+    }
+    return null;
+  }
+
+  // The minimum partial take does not apply to pro rata fills since every maker at the level gets a share.
+  _takeFromLevelProRata(order, price, list) {
+    let levelMakers = [];
+    for (let item = list.head; item; item = item.next) {
+      levelMakers.push(item.order);
+    }
+    let makers = [];
+    let takeSize = 0n;
+    let takeValue = 0n;
+    let sizes;
+    let values;
+    if (order.side === 'ask') {
+      values = allocateProRata(
+        this._convertSizeToValue(order.sizeRemaining, price),
+        levelMakers.map(maker => maker.valueRemaining)
+      );
+      sizes = distributeProRata(order.sizeRemaining, values);
+    } else {
+      sizes = allocateProRata(
+        this._convertValueToSize(order.valueRemaining, price),
+        levelMakers.map(maker => maker.sizeRemaining)
+      );
+      values = distributeProRata(order.valueRemaining, sizes);
+    }
+    levelMakers.forEach((maker, i) => {
+      if (sizes[i] <= 0n && values[i] <= 0n) {
+        return;
+      }
+      maker.lastSizeTaken = sizes[i];
+      maker.lastValueTaken = values[i];
+      if (maker.side === 'ask') {
+        maker.sizeRemaining -= sizes[i];
+        list.sizeRemaining -= sizes[i];
+        takeSize += sizes[i];
+        takeValue += this._convertSizeToValue(sizes[i], price);
+      } else {
+        maker.valueRemaining -= values[i];
+        list.valueRemaining -= values[i];
+        takeSize += this._convertValueToSize(values[i], price);
+        takeValue += values[i];
+      }
+      let makerRemaining = maker.side === 'ask' ? maker.sizeRemaining : maker.valueRemaining;
+      if (makerRemaining <= 0n) {
+        this.orderItemMap.get(maker.id).detach();
+        this.orderItemMap.delete(maker.id);
+        if (maker.side === 'ask') {
+          this.askCount--;
+        } else {
+          this.bidCount--;
+        }
+      }
+      makers.push({...maker});
+    });
+    // The taker's amount is only left over if none of the makers could take any of it.
+    if (order.side === 'ask') {
+      order.sizeRemaining -= sizes.reduce((sum, size) => sum + size, 0n);
+    } else {
+      order.valueRemaining -= values.reduce((sum, value) => sum + value, 0n);
+    }
+    return {makers, takeSize, takeValue};
+  }
+
+  // Reduces the remaining amount of an order without affecting its time priority.
+  resize(orderId, amount) {
+    let orderItem = this.orderItemMap.get(orderId);
+    if (!orderItem) {
+      return undefined;
+    }
+    let order = orderItem.order;
+    if (order.side === 'ask') {
+      orderItem.list.sizeRemaining -= amount;
+      order.sizeRemaining -= amount;
+    } else {
+      orderItem.list.valueRemaining -= amount;
+      order.valueRemaining -= amount;
+    }
+    return order;
+  }
+
+  // Temporarily takes an order out of the order book; the result can be passed to restore to put it back.
+  detach(orderId) {
+    let orderItem = this.orderItemMap.get(orderId);
+    if (!orderItem) {
+      return undefined;
+    }
+    let nextOrderId = orderItem.next ? orderItem.next.order.id : null;
+    let order = this.remove(orderId);
+    return {order, nextOrderId};
+  }
+
+  // Puts a detached order back into its original position within its price level.
+  restore({order, nextOrderId}) {
+    if (order.side === 'ask') {
+      this._insertAsk(order);
+    } else {
+      this._insertBid(order);
+    }
+    if (nextOrderId == null) {
+      return;
+    }
+    let orderItem = this.orderItemMap.get(order.id);
+    let nextItem = this.orderItemMap.get(nextOrderId);
+    if (nextItem) {
+      nextItem.prepend(orderItem);
+    } else if (orderItem.list.head !== orderItem) {
+      // The order which followed it was filled so it needs to go to the front.
+      orderItem.list.head.prepend(orderItem);
+    }
+  }
+}
+
+module.exports = MatchingEngine;
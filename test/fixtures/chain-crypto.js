@@ -0,0 +1,14 @@
+// Minimal chain crypto class which allows the DEX module to be instantiated in tests.
+class ChainCrypto {
+  constructor({chainSymbol, chainOptions, logger}) {
+    this.chainSymbol = chainSymbol;
+    this.chainOptions = chainOptions;
+    this.logger = logger;
+  }
+
+  async load() {}
+
+  async unload() {}
+}
+
+module.exports = ChainCrypto;
@@ -0,0 +1,236 @@
+// Matching engine which keeps its resting orders in plain arrays; it only implements the interface which is
+// described in the README so that tests can run the TradeEngine without relying on BigOrderBook.
+class ListMatchingEngine {
+  constructor(options) {
+    this.minPartialTakeValue = BigInt(options.minPartialTakeValue || 0);
+    this.minPartialTakeSize = BigInt(options.minPartialTakeSize || 0);
+    this.pricePrecisionFactor = 10 ** (options.priceDecimalPrecision == null ? 4 : options.priceDecimalPrecision);
+    this.clear();
+  }
+
+  add(order) {
+    let isAsk = order.side === 'ask';
+    if (order.type === 'limit') {
+      order.price = Math.round(order.price * this.pricePrecisionFactor) / this.pricePrecisionFactor;
+    }
+    if (isAsk) {
+      order.sizeRemaining = order.sizeRemaining == null ? BigInt(order.size) : BigInt(order.sizeRemaining);
+    } else {
+      order.valueRemaining = order.valueRemaining == null ? BigInt(order.value) : BigInt(order.valueRemaining);
+    }
+    order.lastSizeTaken = order.lastSizeTaken == null ? 0n : BigInt(order.lastSizeTaken);
+    order.lastValueTaken = order.lastValueTaken == null ? 0n : BigInt(order.lastValueTaken);
+
+    let makers = [];
+    let takeSize = 0n;
+    let takeValue = 0n;
+    let makerList = isAsk ? this.bids : this.asks;
+    while (makerList.length && (isAsk ? order.sizeRemaining : order.valueRemaining) > 0n) {
+      let maker = makerList[0];
+      if (order.type === 'limit' && (isAsk ? order.price > maker.price : order.price < maker.price)) {
+        break;
+      }
+      if (isAsk) {
+        let askValueRemaining = this._convertSizeToValue(order.sizeRemaining, maker.price);
+        if (askValueRemaining >= maker.valueRemaining) {
+          maker.lastSizeTaken = this._convertValueToSize(maker.valueRemaining, maker.price);
+          maker.lastValueTaken = maker.valueRemaining;
+          maker.valueRemaining = 0n;
+          order.sizeRemaining -= maker.lastSizeTaken;
+          makerList.shift();
+        } else {
+          let askSizeRemaining = order.sizeRemaining;
+          order.sizeRemaining = 0n;
+          if (askValueRemaining < this.minPartialTakeValue) {
+            break;
+          }
+          maker.lastSizeTaken = askSizeRemaining;
+          maker.lastValueTaken = askValueRemaining;
+          maker.valueRemaining -= askValueRemaining;
+        }
+        takeSize += this._convertValueToSize(maker.lastValueTaken, maker.price);
+        takeValue += maker.lastValueTaken;
+      } else {
+        let bidSizeRemaining = this._convertValueToSize(order.valueRemaining, maker.price);
+        if (bidSizeRemaining >= maker.sizeRemaining) {
+          maker.lastSizeTaken = maker.sizeRemaining;
+          maker.lastValueTaken = this._convertSizeToValue(maker.sizeRemaining, maker.price);
+          maker.sizeRemaining = 0n;
+          order.valueRemaining -= maker.lastValueTaken;
+          makerList.shift();
+        } else {
+          let bidValueRemaining = order.valueRemaining;
+          order.valueRemaining = 0n;
+          if (bidSizeRemaining < this.minPartialTakeSize) {
+            break;
+          }
+          maker.lastSizeTaken = bidSizeRemaining;
+          maker.lastValueTaken = bidValueRemaining;
+          maker.sizeRemaining -= bidSizeRemaining;
+        }
+        takeSize += maker.lastSizeTaken;
+        takeValue += this._convertSizeToValue(maker.lastSizeTaken, maker.price);
+      }
+      makers.push({...maker});
+    }
+    if (order.type === 'limit' && (isAsk ? order.sizeRemaining : order.valueRemaining) > 0n) {
+      this._insert(order);
+    }
+    return {taker: {...order}, makers, takeSize, takeValue};
+  }
+
+  remove(orderId) {
+    let order = this._find(orderId);
+    if (!order) {
+      return undefined;
+    }
+    let list = this._getList(order);
+    list.splice(list.indexOf(order), 1);
+    return order;
+  }
+
+  has(orderId) {
+    return !!this._find(orderId);
+  }
+
+  clear() {
+    // Each list goes from the best price to the worst one with the oldest order first within each price.
+    this.bids = [];
+    this.asks = [];
+  }
+
+  getMaxBid() {
+    return this.bids[0];
+  }
+
+  getMinAsk() {
+    return this.asks[0];
+  }
+
+  getBidIteratorFromMax() {
+    return this.bids.slice()[Symbol.iterator]();
+  }
+
+  getBidIteratorFromMin() {
+    return this._reverseLevels(this.bids)[Symbol.iterator]();
+  }
+
+  getAskIteratorFromMin() {
+    return this.asks.slice()[Symbol.iterator]();
+  }
+
+  getAskIteratorFromMax() {
+    return this._reverseLevels(this.asks)[Symbol.iterator]();
+  }
+
+  getBidLevelIteratorFromMax() {
+    return this._getLevels(this.bids, 'valueRemaining')[Symbol.iterator]();
+  }
+
+  getBidLevelIteratorFromMin() {
+    return this._getLevels(this.bids, 'valueRemaining').reverse()[Symbol.iterator]();
+  }
+
+  getAskLevelIteratorFromMin() {
+    return this._getLevels(this.asks, 'sizeRemaining')[Symbol.iterator]();
+  }
+
+  getAskLevelIteratorFromMax() {
+    return this._getLevels(this.asks, 'sizeRemaining').reverse()[Symbol.iterator]();
+  }
+
+  resize(orderId, amount) {
+    let order = this._find(orderId);
+    if (!order) {
+      return undefined;
+    }
+    if (order.side === 'ask') {
+      order.sizeRemaining -= amount;
+    } else {
+      order.valueRemaining -= amount;
+    }
+    return order;
+  }
+
+  detach(orderId) {
+    let order = this._find(orderId);
+    if (!order) {
+      return undefined;
+    }
+    let list = this._getList(order);
+    let index = list.indexOf(order);
+    let nextOrder = list[index + 1];
+    list.splice(index, 1);
+    return {order, nextOrderId: nextOrder && nextOrder.price === order.price ? nextOrder.id : null};
+  }
+
+  // If the order which followed it is gone, the order goes to the front of its price level.
+  restore({order, nextOrderId}) {
+    let list = this._getList(order);
+    let index = list.findIndex(existingOrder => existingOrder.id === nextOrderId);
+    if (index === -1) {
+      index = this._findInsertIndex(order, false);
+    }
+    list.splice(index, 0, order);
+  }
+
+  _insert(order) {
+    this._getList(order).splice(this._findInsertIndex(order, true), 0, order);
+  }
+
+  _findInsertIndex(order, isAfterSamePrice) {
+    let list = this._getList(order);
+    let index = list.findIndex((existingOrder) => {
+      if (existingOrder.price === order.price) {
+        return !isAfterSamePrice;
+      }
+      return order.side === 'ask' ? existingOrder.price > order.price : existingOrder.price < order.price;
+    });
+    return index === -1 ? list.length : index;
+  }
+
+  _find(orderId) {
+    return this.bids.find(order => order.id === orderId) || this.asks.find(order => order.id === orderId);
+  }
+
+  _getList(order) {
+    return order.side === 'ask' ? this.asks : this.bids;
+  }
+
+  // Reverses the price levels but keeps the time priority within each level.
+  _reverseLevels(list) {
+    let levels = [];
+    for (let order of list) {
+      let lastLevel = levels[levels.length - 1];
+      if (lastLevel && lastLevel[0].price === order.price) {
+        lastLevel.push(order);
+      } else {
+        levels.push([order]);
+      }
+    }
+    return levels.reverse().flat();
+  }
+
+  _getLevels(list, remainingField) {
+    let levels = [];
+    for (let order of list) {
+      let lastLevel = levels[levels.length - 1];
+      if (lastLevel && lastLevel.price === order.price) {
+        lastLevel[remainingField] += order[remainingField];
+      } else {
+        levels.push({price: order.price, [remainingField]: order[remainingField]});
+      }
+    }
+    return levels;
+  }
+
+  _convertSizeToValue(size, price) {
+    return size * BigInt(Math.round(price * this.pricePrecisionFactor)) / BigInt(this.pricePrecisionFactor);
+  }
+
+  _convertValueToSize(value, price) {
+    return value * BigInt(this.pricePrecisionFactor) / BigInt(Math.round(price * this.pricePrecisionFactor));
+  }
+}
+
+module.exports = ListMatchingEngine;
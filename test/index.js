@@ -0,0 +1,677 @@
+const assert = require('assert');
+const path = require('path');
+const CapitaliskDEXModule = require('../index');
+
+const CHAIN_CRYPTO_LIB_PATH = path.join(__dirname, 'fixtures', 'chain-crypto.js');
+
+describe('DEX module unit tests', async () => {
+  let dexModule;
+  let logger = {
+    info: () => {},
+    debug: () => {},
+    warn: () => {},
+    error: () => {}
+  };
+
+  let createDEXModule = (config) => {
+    let chainOptions = {
+      moduleAlias: 'chain',
+      chainCryptoLibPath: CHAIN_CRYPTO_LIB_PATH,
+      exchangeFeeBase: 10,
+      exchangeFeeRate: .01,
+      minOrderAmount: 100
+    };
+    return new CapitaliskDEXModule({
+      config: {
+        baseChain: 'lsk',
+        ...config,
+        chains: {
+          lsk: {...chainOptions, ...(config.chains || {}).lsk},
+          clsk: {...chainOptions, ...(config.chains || {}).clsk}
+        }
+      },
+      updater: {},
+      logger
+    });
+  };
+
+  let createOrder = (id, side, price, amount) => {
+    let order = {
+      id,
+      type: 'limit',
+      price,
+      sourceChain: side === 'ask' ? 'clsk' : 'lsk',
+      targetChain: side === 'ask' ? 'lsk' : 'clsk',
+      height: 1,
+      targetWalletAddress: side === 'ask' ? '22245678912345678222L' : '11145678912345678111L',
+      senderAddress: side === 'ask' ? '11111111111222222222L' : '22222222211111111111L',
+      sourceWalletAddress: side === 'ask' ? '11111111111222222222L' : '22222222211111111111L',
+      side
+    };
+    if (side === 'ask') {
+      order.size = amount;
+    } else {
+      order.value = amount;
+    }
+    return order;
+  };
+
+  beforeEach(async () => {
+    dexModule = createDEXModule({});
+  });
+
+  describe('Ladder orders', async () => {
+    let createLadderOrderTxn = (amount) => {
+      return {
+        id: 'ladder0',
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        sourceChainAmount: amount,
+        sourceWalletAddress: '11111111111222222222L'
+      };
+    };
+
+    let parseLadderOrder = (orderTxn, transferMessageString) => {
+      return dexModule._parseLadderOrder(orderTxn, transferMessageString.split(','), {
+        chainSymbol: orderTxn.sourceChain,
+        chainHeight: 10,
+        amount: orderTxn.sourceChainAmount,
+        minOrderAmount: 100n,
+        latestBlockTimestamp: 1000
+      });
+    };
+
+    it('Should spread the level prices evenly between the min and max prices', async () => {
+      assert.deepEqual(dexModule._computeLadderPrices(.5, .6, 5), [.5, .525, .55, .575, .6]);
+      assert.deepEqual(dexModule._computeLadderPrices(1, 2, 2), [1, 2]);
+    });
+
+    it('Should round the level prices to the tick size', async () => {
+      let tickDEXModule = createDEXModule({tickSize: .01});
+      assert.deepEqual(tickDEXModule._computeLadderPrices(.5, .6, 3), [.5, .55, .6]);
+      assert.deepEqual(tickDEXModule._computeLadderPrices(.5, .6, 4), [.5, .53, .57, .6]);
+    });
+
+    it('Should return null if the price range is too narrow for the level count', async () => {
+      let tickDEXModule = createDEXModule({tickSize: .01});
+      assert.equal(tickDEXModule._computeLadderPrices(.5, .52, 4), null);
+    });
+
+    it('Should split a ladder order into limit orders with derived IDs', async () => {
+      let orderTxn = parseLadderOrder(createLadderOrderTxn(1003n), 'lsk,ladder,.5,.6,5,22245678912345678222L');
+      assert.equal(orderTxn.type, 'ladder');
+      assert.equal(orderTxn.ladderOrders.length, 5);
+      assert.deepEqual(orderTxn.ladderOrders.map(levelOrderTxn => levelOrderTxn.id), [
+        'ladder0-0',
+        'ladder0-1',
+        'ladder0-2',
+        'ladder0-3',
+        'ladder0-4'
+      ]);
+      assert.deepEqual(orderTxn.ladderOrders.map(levelOrderTxn => levelOrderTxn.price), [.5, .525, .55, .575, .6]);
+      for (let levelOrderTxn of orderTxn.ladderOrders) {
+        assert.equal(levelOrderTxn.type, 'limit');
+        assert.equal(levelOrderTxn.side, 'ask');
+        assert.equal(levelOrderTxn.targetWalletAddress, '22245678912345678222L');
+        assert.equal(levelOrderTxn.ladderOrders, undefined);
+      }
+    });
+
+    it('Should give the leftover amount to the level with the highest price', async () => {
+      let orderTxn = parseLadderOrder(createLadderOrderTxn(1003n), 'lsk,ladder,.5,.6,5,22245678912345678222L');
+      let levelAmounts = orderTxn.ladderOrders.map(levelOrderTxn => levelOrderTxn.size);
+      assert.deepEqual(levelAmounts, [200n, 200n, 200n, 200n, 203n]);
+      assert.deepEqual(orderTxn.ladderOrders.map(levelOrderTxn => levelOrderTxn.sourceChainAmount), levelAmounts);
+    });
+
+    it('Should create bid levels if the ladder order was sent on the base chain', async () => {
+      let orderTxn = createLadderOrderTxn(1000n);
+      orderTxn.sourceChain = 'lsk';
+      orderTxn.targetChain = 'clsk';
+      orderTxn = parseLadderOrder(orderTxn, 'clsk,ladder,.5,.6,2,11145678912345678111L');
+      assert.equal(orderTxn.type, 'ladder');
+      assert.deepEqual(orderTxn.ladderOrders.map(levelOrderTxn => levelOrderTxn.side), ['bid', 'bid']);
+      assert.deepEqual(orderTxn.ladderOrders.map(levelOrderTxn => levelOrderTxn.value), [500n, 500n]);
+    });
+
+    it('Should apply the order options to each level', async () => {
+      let orderTxn = parseLadderOrder(createLadderOrderTxn(1000n), 'lsk,ladder,.5,.6,2,22245678912345678222L,post,ttl=5');
+      assert.equal(orderTxn.type, 'ladder');
+      for (let levelOrderTxn of orderTxn.ladderOrders) {
+        assert.equal(levelOrderTxn.postOnly, true);
+        assert.equal(levelOrderTxn.expiryHeight, 15);
+      }
+    });
+
+    it('Should reject ladder orders whose levels would be smaller than the minimum order amount', async () => {
+      let orderTxn = parseLadderOrder(createLadderOrderTxn(499n), 'lsk,ladder,.5,.6,5,22245678912345678222L');
+      assert.equal(orderTxn.type, 'invalid');
+      assert.equal(orderTxn.reason, 'Undersized level');
+      assert.equal(orderTxn.ladderOrders, undefined);
+    });
+
+    it('Should reject ladder orders with an invalid price range', async () => {
+      let orderTxn = parseLadderOrder(createLadderOrderTxn(1000n), 'lsk,ladder,.6,.5,5,22245678912345678222L');
+      assert.equal(orderTxn.type, 'invalid');
+      assert.equal(orderTxn.reason, 'Invalid price range');
+    });
+
+    it('Should reject ladder orders with an invalid level count', async () => {
+      let orderTxn = parseLadderOrder(createLadderOrderTxn(1000n), 'lsk,ladder,.5,.6,1,22245678912345678222L');
+      assert.equal(orderTxn.type, 'invalid');
+      assert.equal(orderTxn.reason, 'Invalid level count');
+
+      orderTxn = parseLadderOrder(createLadderOrderTxn(100000n), 'lsk,ladder,.5,.6,21,22245678912345678222L');
+      assert.equal(orderTxn.type, 'invalid');
+      assert.equal(orderTxn.reason, 'Invalid level count');
+    });
+
+    it('Should reject ladder orders with an invalid target wallet address', async () => {
+      let orderTxn = parseLadderOrder(createLadderOrderTxn(1000n), 'lsk,ladder,.5,.6,5');
+      assert.equal(orderTxn.type, 'invalid');
+      assert.equal(orderTxn.reason, 'Invalid wallet address');
+    });
+  });
+
+  describe('Tick and lot sizes', async () => {
+    let gridDEXModule;
+
+    let parseOrderTransaction = (chainSymbol, amount, message) => {
+      return gridDEXModule._parseOrderTransaction(
+        {
+          id: 'order0',
+          amount: String(amount),
+          message,
+          senderAddress: chainSymbol === 'clsk' ? '11111111111222222222L' : '22222222211111111111L'
+        },
+        {
+          chainSymbol,
+          chainHeight: 10,
+          minOrderAmount: 100n,
+          maxOrderAmount: 1000000n,
+          latestBlockTimestamp: 1000
+        }
+      );
+    };
+
+    beforeEach(async () => {
+      gridDEXModule = createDEXModule({
+        tickSize: .01,
+        chains: {
+          clsk: {lotSize: 10}
+        }
+      });
+    });
+
+    it('Should throw if the tickSize is not a positive multiple of the smallest price increment', async () => {
+      assert.throws(() => {
+        createDEXModule({tickSize: .00001});
+      }, /tickSize config must be a positive multiple/);
+      assert.throws(() => {
+        createDEXModule({tickSize: .01, priceDecimalPrecision: 1});
+      }, /tickSize config must be a positive multiple/);
+      assert.throws(() => {
+        createDEXModule({tickSize: 0});
+      }, /tickSize config must be a positive multiple/);
+      assert.throws(() => {
+        createDEXModule({tickSize: -.01});
+      }, /tickSize config must be a positive multiple/);
+      assert.equal(createDEXModule({tickSize: .0025}).priceTickUnits, 25);
+      assert.equal(createDEXModule({}).priceTickUnits, 1);
+    });
+
+    it('Should throw if a lotSize is not greater than 0', async () => {
+      assert.throws(() => {
+        createDEXModule({chains: {clsk: {lotSize: -10}}});
+      }, /should have a lotSize which is greater than 0/);
+    });
+
+    it('Should check whether prices and amounts are on the grid', async () => {
+      assert.equal(gridDEXModule._isPriceOnTickGrid(.51), true);
+      assert.equal(gridDEXModule._isPriceOnTickGrid(.505), false);
+      assert.equal(gridDEXModule._isAmountOnLotGrid('clsk', 1010n), true);
+      assert.equal(gridDEXModule._isAmountOnLotGrid('clsk', 1005n), false);
+      assert.equal(gridDEXModule._isAmountOnLotGrid('lsk', 1005n), true);
+    });
+
+    it('Should accept limit orders which are on the grid', async () => {
+      let orderTxn = parseOrderTransaction('clsk', 1010n, 'lsk,limit,.51,22245678912345678222L');
+      assert.equal(orderTxn.type, 'limit');
+      assert.equal(orderTxn.price, .51);
+      assert.equal(orderTxn.size, 1010n);
+    });
+
+    it('Should reject limit orders which are off the grid', async () => {
+      let orderTxn = parseOrderTransaction('clsk', 1010n, 'lsk,limit,.505,22245678912345678222L');
+      assert.equal(orderTxn.type, 'invalid');
+      assert.equal(orderTxn.reason, 'Price not a multiple of tick size');
+
+      orderTxn = parseOrderTransaction('clsk', 1005n, 'lsk,limit,.51,22245678912345678222L');
+      assert.equal(orderTxn.type, 'invalid');
+      assert.equal(orderTxn.reason, 'Amount not a multiple of lot size');
+    });
+
+    it('Should reject stop orders with a limit price which is off the grid', async () => {
+      let orderTxn = parseOrderTransaction('clsk', 1010n, 'lsk,stop,.4,22245678912345678222L,.395');
+      assert.equal(orderTxn.type, 'invalid');
+      assert.equal(orderTxn.reason, 'Price not a multiple of tick size');
+
+      orderTxn = parseOrderTransaction('clsk', 1005n, 'lsk,stop,.4,22245678912345678222L,.39');
+      assert.equal(orderTxn.type, 'invalid');
+      assert.equal(orderTxn.reason, 'Amount not a multiple of lot size');
+
+      orderTxn = parseOrderTransaction('clsk', 1010n, 'lsk,stop,.4,22245678912345678222L,.39');
+      assert.equal(orderTxn.type, 'stop');
+    });
+
+    it('Should reject modify orders with a price which is off the grid', async () => {
+      gridDEXModule.tradeEngine.addOrder(createOrder('order1', 'ask', .5, 1010n));
+      let orderTxn = parseOrderTransaction('clsk', 1n, 'lsk,modify,order1,.555');
+      assert.equal(orderTxn.type, 'invalid');
+      assert.equal(orderTxn.reason, 'Price not a multiple of tick size');
+
+      orderTxn = parseOrderTransaction('clsk', 1n, 'lsk,modify,order1,.55');
+      assert.equal(orderTxn.type, 'modify');
+      assert.equal(orderTxn.price, .55);
+    });
+
+    it('Should reject ladder orders which are off the grid', async () => {
+      let orderTxn = parseOrderTransaction('clsk', 1000n, 'lsk,ladder,.505,.6,5,22245678912345678222L');
+      assert.equal(orderTxn.type, 'invalid');
+      assert.equal(orderTxn.reason, 'Price not a multiple of tick size');
+
+      orderTxn = parseOrderTransaction('clsk', 1005n, 'lsk,ladder,.5,.6,5,22245678912345678222L');
+      assert.equal(orderTxn.type, 'invalid');
+      assert.equal(orderTxn.reason, 'Amount not a multiple of lot size');
+
+      orderTxn = parseOrderTransaction('clsk', 1050n, 'lsk,ladder,.5,.6,5,22245678912345678222L');
+      assert.equal(orderTxn.type, 'ladder');
+    });
+  });
+
+  describe('Referral fees', async () => {
+    it('Should credit the referrer at the height of the chain on which the fee is collected', async () => {
+      let referralDEXModule = createDEXModule({referralFeeSharePercentage: 50});
+      let makerOrder = createOrder('order0', 'ask', .5, 10000n);
+      makerOrder.referrerAddress = '33333333311111111111L';
+      makerOrder.lastValueTaken = 5000n;
+      let takerOrder = createOrder('order1', 'bid', .5, 5000n);
+      referralDEXModule._creditReferralFees(
+        {taker: takerOrder, makers: [makerOrder], takeValue: 5000n, takeSize: 10000n},
+        {lsk: 7, clsk: 20}
+      );
+      // The fee is 1% of 5000 - 10 and half of it goes to the referrer.
+      assert.equal(referralDEXModule.tradeEngine.getReferralCredit('lsk', '33333333311111111111L'), 24n);
+      assert.equal(referralDEXModule.tradeEngine.takeReferralCredits('lsk', 6, 0n).length, 0);
+      assert.deepEqual(referralDEXModule.tradeEngine.takeReferralCredits('lsk', 7, 0n), [
+        {walletAddress: '33333333311111111111L', amount: 24n}
+      ]);
+    });
+
+    it('Should deduct the referral fees from the fee contributions of members', async () => {
+      let feeContributionData = {
+        '11111111111111111111L': 1000n,
+        '22222222222222222222L': 600n
+      };
+      assert.deepEqual(dexModule._deductReferralFees(feeContributionData, 1000n, 250n), {
+        '11111111111111111111L': 750n,
+        '22222222222222222222L': 450n
+      });
+      assert.deepEqual(dexModule._deductReferralFees(feeContributionData, 1000n, 0n), feeContributionData);
+      assert.deepEqual(dexModule._deductReferralFees(feeContributionData, 1000n, 1200n), {
+        '11111111111111111111L': 0n,
+        '22222222222222222222L': 0n
+      });
+      assert.deepEqual(dexModule._deductReferralFees({}, 0n, 100n), {});
+    });
+
+    it('Should pay credits which were carried across dividend cycles with the range of the current cycle', async () => {
+      let scheduledTransactions = [];
+      dexModule.scheduleMultisigTransaction = (chainSymbol, transaction, message) => {
+        scheduledTransactions.push({transaction, message});
+      };
+      let payReferralFees = (fromHeight, toHeight) => {
+        dexModule._scheduleReferralFeeTransactions({
+          chainSymbol: 'lsk',
+          referralCredits: dexModule.tradeEngine.takeReferralCredits('lsk', toHeight, 10n),
+          fromHeight,
+          toHeight,
+          chainHeight: toHeight + 1,
+          latestBlockTimestamp: 1000
+        });
+      };
+      dexModule.tradeEngine.addReferralCredit('lsk', '33333333311111111111L', 6n, 5);
+      dexModule.tradeEngine.addReferralCredit('lsk', '44444444411111111111L', 30n, 5);
+      payReferralFees(0, 10);
+      dexModule.tradeEngine.addReferralCredit('lsk', '33333333311111111111L', 3n, 15);
+      payReferralFees(10, 20);
+      dexModule.tradeEngine.addReferralCredit('lsk', '33333333311111111111L', 8n, 25);
+      payReferralFees(20, 30);
+
+      assert.deepEqual(scheduledTransactions.map(({transaction, message}) => {
+        return [transaction.recipientAddress, transaction.amount, message];
+      }), [
+        ['44444444411111111111L', '20', 'd2,1,10: Referral fee'],
+        ['33333333311111111111L', '7', 'd2,21,30: Referral fee']
+      ]);
+    });
+  });
+
+  describe('Markets', async () => {
+    let marketsDEXModule;
+    let updater;
+
+    beforeEach(async () => {
+      updater = {
+        mergeCount: 0,
+        mergeActiveUpdate: () => {
+          updater.mergeCount++;
+        }
+      };
+      let chainOptions = {
+        moduleAlias: 'chain',
+        chainCryptoLibPath: CHAIN_CRYPTO_LIB_PATH,
+        exchangeFeeBase: 10,
+        exchangeFeeRate: .01,
+        minOrderAmount: 100
+      };
+      marketsDEXModule = new CapitaliskDEXModule({
+        config: {
+          networkAlias: 'dex',
+          orderBookSnapshotFilePath: 'snapshots/dex-snapshot.json',
+          chains: {
+            lsk: {...chainOptions},
+            clsk: {...chainOptions},
+            lsh: {...chainOptions, minOrderAmount: 200}
+          },
+          markets: {
+            clsk_lsk: {
+              baseChain: 'lsk',
+              chains: {
+                lsk: {multisigAddress: '11111111111111111111L'},
+                clsk: {multisigAddress: '22222222222222222222L'}
+              }
+            },
+            lsh_lsk: {
+              baseChain: 'lsk',
+              tickSize: .01,
+              chains: {
+                lsk: {multisigAddress: '33333333333333333333L'},
+                lsh: {multisigAddress: '44444444444444444444L', minOrderAmount: 300}
+              }
+            }
+          }
+        },
+        updater,
+        logger
+      });
+    });
+
+    it('Should append the market ID to the name of a file path', async () => {
+      assert.equal(marketsDEXModule._getMarketPath('dex-snapshot.json', 'm1'), 'dex-snapshot-m1.json');
+      assert.equal(marketsDEXModule._getMarketPath('snapshots/dex-snapshot.json', 'm1'), 'snapshots/dex-snapshot-m1.json');
+      assert.equal(marketsDEXModule._getMarketPath('snapshots/backups', 'm1'), 'snapshots/backups-m1');
+    });
+
+    it('Should merge the shared options with the options of each market', async () => {
+      assert.deepEqual(marketsDEXModule.marketIds, ['clsk_lsk', 'lsh_lsk']);
+      let clskMarket = marketsDEXModule.markets.clsk_lsk;
+      let lshMarket = marketsDEXModule.markets.lsh_lsk;
+
+      assert.deepEqual(Object.keys(clskMarket.options.chains), ['lsk', 'clsk']);
+      assert.equal(clskMarket.options.chains.lsk.moduleAlias, 'chain');
+      assert.equal(clskMarket.options.chains.lsk.multisigAddress, '11111111111111111111L');
+      assert.equal(lshMarket.options.chains.lsk.multisigAddress, '33333333333333333333L');
+      assert.equal(lshMarket.options.chains.lsh.minOrderAmount, 300);
+      assert.equal(lshMarket.options.chains.lsh.exchangeFeeBase, 10);
+      assert.equal(lshMarket.options.tickSize, .01);
+      assert.equal(clskMarket.options.tickSize, marketsDEXModule.options.tickSize);
+
+      assert.equal(clskMarket.networkAlias, 'dex');
+      assert.equal(lshMarket.networkAlias, 'dex-lsh_lsk');
+      assert.equal(clskMarket.options.orderBookSnapshotFilePath, 'snapshots/dex-snapshot-clsk_lsk.json');
+      assert.equal(lshMarket.options.orderBookSnapshotFilePath, 'snapshots/dex-snapshot-lsh_lsk.json');
+      assert.equal(clskMarket.baseChainSymbol, 'lsk');
+      assert.equal(lshMarket.quoteChainSymbol, 'lsh');
+      assert.equal(clskMarket.parentModule, marketsDEXModule);
+      assert.equal(clskMarket.chainQueryCache, marketsDEXModule.chainQueryCache);
+      assert.equal(clskMarket.outboundTransactionBlockCaches, lshMarket.outboundTransactionBlockCaches);
+      assert.equal(clskMarket.chainCrypto.lsk, lshMarket.chainCrypto.lsk);
+      assert.equal(clskMarket.chainCrypto.lsk, marketsDEXModule.chainCrypto.lsk);
+    });
+
+    it('Should only load a shared chain crypto instance once', async () => {
+      let loadCount = 0;
+      marketsDEXModule.chainCrypto.lsk.load = async () => {
+        loadCount++;
+      };
+      let clskMarket = marketsDEXModule.markets.clsk_lsk;
+      let lshMarket = marketsDEXModule.markets.lsh_lsk;
+      clskMarket.processedHeights = {lsk: 1, clsk: 1};
+      lshMarket.processedHeights = {lsk: 1, lsh: 1};
+      await Promise.all([
+        clskMarket._loadChainCrypto('lsk', {}),
+        lshMarket._loadChainCrypto('lsk', {})
+      ]);
+      assert.equal(loadCount, 1);
+    });
+
+    it('Should throw if a market overrides the chain crypto options of a chain', async () => {
+      assert.throws(() => {
+        new CapitaliskDEXModule({
+          config: {
+            chains: {
+              lsk: {chainCryptoLibPath: CHAIN_CRYPTO_LIB_PATH},
+              clsk: {chainCryptoLibPath: CHAIN_CRYPTO_LIB_PATH}
+            },
+            markets: {
+              clsk_lsk: {
+                baseChain: 'lsk',
+                chains: {lsk: {passphrase: 'foo'}, clsk: {}}
+              }
+            }
+          },
+          updater: {},
+          logger
+        });
+      }, /cannot override the passphrase option of the lsk chain/);
+    });
+
+    it('Should throw if a market does not specify exactly 2 chains', async () => {
+      assert.throws(() => {
+        new CapitaliskDEXModule({
+          config: {
+            chains: {lsk: {}, clsk: {}},
+            markets: {
+              clsk_lsk: {baseChain: 'lsk', chains: {lsk: {}}}
+            }
+          },
+          updater: {},
+          logger
+        });
+      }, /must specify exactly 2 chains/);
+    });
+
+    it('Should list the markets with the getMarkets action', async () => {
+      let { actions } = marketsDEXModule;
+      assert.deepEqual(actions.getMarkets.handler({params: {}}), [
+        {market: 'clsk_lsk', baseSymbol: 'lsk', quoteSymbol: 'clsk'},
+        {market: 'lsh_lsk', baseSymbol: 'lsk', quoteSymbol: 'lsh'}
+      ]);
+    });
+
+    it('Should delegate actions to the market which is specified by the market parameter', async () => {
+      let { actions } = marketsDEXModule;
+      let lshMarketActions = marketsDEXModule.markets.lsh_lsk.actions;
+      assert.deepEqual(Object.keys(actions).filter(actionName => actionName !== 'getMarkets'), Object.keys(lshMarketActions));
+
+      assert.deepEqual(actions.getMarket.handler({params: {market: 'lsh_lsk'}}), {baseSymbol: 'lsk', quoteSymbol: 'lsh'});
+      assert.deepEqual(actions.getMarket.handler({params: {market: 'clsk_lsk'}}), {baseSymbol: 'lsk', quoteSymbol: 'clsk'});
+
+      marketsDEXModule.markets.lsh_lsk.tradeEngine.addOrder(createOrder('order0', 'bid', .5, 1000n));
+      let bids = actions.getBids.handler({params: {market: 'lsh_lsk', limit: 10}});
+      assert.deepEqual(bids.map(bid => bid.id), ['order0']);
+      assert.deepEqual(actions.getBids.handler({params: {market: 'clsk_lsk', limit: 10}}), []);
+    });
+
+    it('Should throw an InvalidQueryError if the market parameter is not a known market ID', async () => {
+      let { actions } = marketsDEXModule;
+      assert.throws(() => {
+        actions.getBids.handler({params: {market: 'foo_lsk'}});
+      }, (error) => error.name === 'InvalidQueryError');
+      assert.throws(() => {
+        actions.getBids.handler({params: {}});
+      }, (error) => error.name === 'InvalidQueryError');
+    });
+
+    it('Should only activate an update once every market is ready', async () => {
+      let update = {id: 'update1'};
+      let isActivated = false;
+      marketsDEXModule._activateMarketUpdate('clsk_lsk', update).then(() => {
+        isActivated = true;
+      });
+      await new Promise(resolve => setTimeout(resolve, 0));
+      assert.equal(isActivated, false);
+
+      await marketsDEXModule._activateMarketUpdate('lsh_lsk', update);
+      await new Promise(resolve => setTimeout(resolve, 0));
+      assert.equal(isActivated, true);
+    });
+
+    it('Should only merge an update once its snapshot is final for every market', async () => {
+      let update = {id: 'update1'};
+      let deletedSnapshots = [];
+      for (let marketId of marketsDEXModule.marketIds) {
+        marketsDEXModule.markets[marketId]._deleteUpdateSnapshot = async (updateId) => {
+          deletedSnapshots.push(`${marketId}:${updateId}`);
+        };
+      }
+      await marketsDEXModule._mergeMarketUpdate('clsk_lsk', update);
+      assert.equal(updater.mergeCount, 0);
+      assert.deepEqual(deletedSnapshots, []);
+
+      await marketsDEXModule._mergeMarketUpdate('lsh_lsk', update);
+      assert.equal(updater.mergeCount, 1);
+      assert.deepEqual(deletedSnapshots, ['clsk_lsk:update1', 'lsh_lsk:update1']);
+    });
+
+    it('Should share chain query results between markets until they expire', async () => {
+      let invokeCount = 0;
+      let channel = {
+        invoke: async (procedureName, params) => {
+          invokeCount++;
+          return {procedureName, params};
+        }
+      };
+      let clskMarket = marketsDEXModule.markets.clsk_lsk;
+      let lshMarket = marketsDEXModule.markets.lsh_lsk;
+      clskMarket.channel = channel;
+      lshMarket.channel = channel;
+
+      let result = await clskMarket._invokeChainQuery('lsk', 'getBlocksBetweenHeights', {fromHeight: 1});
+      assert.deepEqual(result, {procedureName: 'chain:getBlocksBetweenHeights', params: {fromHeight: 1}});
+      await lshMarket._invokeChainQuery('lsk', 'getBlocksBetweenHeights', {fromHeight: 1});
+      assert.equal(invokeCount, 1);
+
+      await lshMarket._invokeChainQuery('lsk', 'getBlocksBetweenHeights', {fromHeight: 2});
+      assert.equal(invokeCount, 2);
+
+      for (let query of marketsDEXModule.chainQueryCache.values()) {
+        query.expiry = Date.now() - 1;
+      }
+      await clskMarket._invokeChainQuery('lsk', 'getBlocksBetweenHeights', {fromHeight: 1});
+      assert.equal(invokeCount, 3);
+      assert.equal(marketsDEXModule.chainQueryCache.size, 1);
+    });
+
+    it('Should not share failed chain query results', async () => {
+      let invokeCount = 0;
+      let clskMarket = marketsDEXModule.markets.clsk_lsk;
+      clskMarket.channel = {
+        invoke: async () => {
+          invokeCount++;
+          throw new Error('Failed to get blocks');
+        }
+      };
+      await assert.rejects(clskMarket._invokeChainQuery('lsk', 'getBlocksBetweenHeights', {fromHeight: 1}));
+      await assert.rejects(clskMarket._invokeChainQuery('lsk', 'getBlocksBetweenHeights', {fromHeight: 1}));
+      assert.equal(invokeCount, 2);
+    });
+
+    it('Should only share chain query results which are in progress when hosting a single market', async () => {
+      let invokeCount = 0;
+      dexModule.channel = {
+        invoke: async () => {
+          invokeCount++;
+          return [];
+        }
+      };
+      await Promise.all([
+        dexModule._invokeChainQuery('lsk', 'getBlocksBetweenHeights', {fromHeight: 1}),
+        dexModule._invokeChainQuery('lsk', 'getBlocksBetweenHeights', {fromHeight: 1})
+      ]);
+      assert.equal(invokeCount, 1);
+      await dexModule._invokeChainQuery('lsk', 'getBlocksBetweenHeights', {fromHeight: 1});
+      assert.equal(invokeCount, 2);
+      assert.equal(dexModule.chainQueryCache.size, 0);
+    });
+  });
+
+  describe('Order book refunds', async () => {
+    let scheduledTransactions;
+
+    beforeEach(async () => {
+      scheduledTransactions = [];
+      dexModule.scheduleMultisigTransaction = (chainSymbol, transaction, message) => {
+        scheduledTransactions.push({chainSymbol, transaction, message});
+      };
+    });
+
+    it('Should refund the orders which are held in an auction when the DEX is disabled', async () => {
+      dexModule.tradeEngine.addOrder(createOrder('order0', 'ask', .5, 100n));
+      dexModule.tradeEngine.startAuction(100);
+      dexModule.tradeEngine.addAuctionOrder(createOrder('order1', 'bid', .4, 200n));
+      dexModule.tradeEngine.addAuctionOrder(createOrder('order2', 'ask', .6, 300n));
+
+      dexModule.scheduleRefundOrderBook(
+        {
+          orderBook: dexModule.tradeEngine.getSnapshot(),
+          chainHeights: {lsk: 10, clsk: 20}
+        },
+        1000,
+        {}
+      );
+
+      assert.equal(scheduledTransactions.length, 3);
+      let refunds = {};
+      for (let {chainSymbol, transaction, message} of scheduledTransactions) {
+        assert.equal(message.split(',')[0], 'r6');
+        refunds[message.split(',')[1].split(':')[0]] = {chainSymbol, transaction};
+      }
+      assert.equal(refunds.order0.transaction.amount, '90');
+      assert.equal(refunds.order1.chainSymbol, 'lsk');
+      assert.equal(refunds.order1.transaction.recipientAddress, '22222222211111111111L');
+      assert.equal(refunds.order1.transaction.amount, '190');
+      assert.equal(refunds.order1.transaction.height, 10);
+      assert.equal(refunds.order2.chainSymbol, 'clsk');
+      assert.equal(refunds.order2.transaction.amount, '290');
+    });
+
+    it('Should refund the orders which are held in an auction with r5 when the DEX has moved', async () => {
+      dexModule.tradeEngine.startAuction(100);
+      dexModule.tradeEngine.addAuctionOrder(createOrder('order1', 'bid', .4, 200n));
+
+      dexModule.scheduleRefundOrderBook(
+        {
+          orderBook: dexModule.tradeEngine.getSnapshot(),
+          chainHeights: {lsk: 10, clsk: 20}
+        },
+        1000,
+        {lsk: '33333333311111111111L'}
+      );
+
+      assert.equal(scheduledTransactions.length, 1);
+      assert.equal(scheduledTransactions[0].message.split(':')[0], 'r5,order1,33333333311111111111L');
+    });
+  });
+});
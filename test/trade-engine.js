@@ -1,9 +1,40 @@
 const assert = require('assert');
+const crypto = require('crypto');
 const TradeEngine = require('../trade-engine');
+const MatchingEngine = require('../matching-engine');
+const ListMatchingEngine = require('./fixtures/list-matching-engine');
+const { verifyMerkleProof } = require('../utils');
 
 describe('TradeEngine unit tests', async () => {
   let tradeEngine;
 
+  // Creates a limit order or a market order (if the price is null) from a default wallet address for each side.
+  let createOrder = (id, side, price, amount, height, sourceWalletAddress) => {
+    if (sourceWalletAddress == null) {
+      sourceWalletAddress = side === 'ask' ? '11111111111222222222L' : '22222222211111111111L';
+    }
+    let order = {
+      id,
+      type: price == null ? 'market' : 'limit',
+      sourceChain: side === 'ask' ? 'clsk' : 'lsk',
+      targetChain: side === 'ask' ? 'lsk' : 'clsk',
+      height,
+      targetWalletAddress: side === 'ask' ? '22245678912345678222L' : '11145678912345678111L',
+      senderAddress: sourceWalletAddress,
+      sourceWalletAddress,
+      side
+    };
+    if (price != null) {
+      order.price = price;
+    }
+    if (side === 'ask') {
+      order.size = amount;
+    } else {
+      order.value = amount;
+    }
+    return order;
+  };
+
   beforeEach(async () => {
     tradeEngine = new TradeEngine({
       baseCurrency: 'lsk',
@@ -560,4 +591,2197 @@ describe('TradeEngine unit tests', async () => {
       assert.equal(result.takeValue, 500000000);
     });
   });
+
+  describe('Trigger orders', async () => {
+
+    it('Stop ask order is held outside the order book until the price falls to the trigger price', async () => {
+      let result;
+
+      tradeEngine.addOrder({
+        id: 'order0',
+        type: 'limit',
+        price: .5,
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height: 1,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        side: 'bid',
+        value: 50
+      });
+
+      tradeEngine.addOrder({
+        id: 'order1',
+        type: 'limit',
+        price: .4,
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height: 1,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        side: 'bid',
+        value: 40
+      });
+
+      tradeEngine.addTriggerOrder({
+        id: 'order2',
+        type: 'stop',
+        triggerPrice: .45,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '33322222211111111333L',
+        side: 'ask',
+        size: 100
+      });
+
+      assert.equal(tradeEngine.getAsks().length, 0);
+      assert.equal(tradeEngine.getTriggerOrders().length, 1);
+      assert.equal(tradeEngine.processTriggerOrders().length, 0);
+
+      result = tradeEngine.addOrder({
+        id: 'order3',
+        type: 'market',
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 2,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '22222222211111111111L',
+        side: 'ask',
+        size: 100
+      });
+
+      assert.equal(tradeEngine.lastPrice, .5);
+      assert.equal(tradeEngine.processTriggerOrders().length, 0);
+
+      result = tradeEngine.addOrder({
+        id: 'order4',
+        type: 'market',
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 2,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '22222222211111111111L',
+        side: 'ask',
+        size: 10
+      });
+
+      assert.equal(tradeEngine.lastPrice, .4);
+
+      let results = tradeEngine.processTriggerOrders();
+
+      assert.equal(results.length, 1);
+      assert.equal(results[0].taker.id, 'order2');
+      assert.equal(results[0].taker.type, 'market');
+      assert.equal(results[0].takeSize, 90);
+      assert.equal(results[0].taker.sizeRemaining, 10);
+      assert.equal(tradeEngine.getTriggerOrders().length, 0);
+    });
+
+    it('Take profit bid order with a limit price is added to the order book when triggered', async () => {
+      tradeEngine.addOrder({
+        id: 'order0',
+        type: 'limit',
+        price: .3,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100
+      });
+
+      tradeEngine.addTriggerOrder({
+        id: 'order1',
+        type: 'takeprofit',
+        triggerPrice: .3,
+        price: .2,
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height: 1,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '33322222211111111333L',
+        side: 'bid',
+        value: 10
+      });
+
+      tradeEngine.addOrder({
+        id: 'order2',
+        type: 'market',
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height: 2,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '22222222211111111111L',
+        side: 'bid',
+        value: 3
+      });
+
+      let results = tradeEngine.processTriggerOrders();
+
+      assert.equal(results.length, 1);
+      assert.equal(results[0].taker.type, 'limit');
+      assert.equal(results[0].makers.length, 0);
+      assert.equal(tradeEngine.getBids()[0].id, 'order1');
+    });
+
+    it('Trigger orders can be closed and are part of the snapshot', async () => {
+      tradeEngine.addTriggerOrder({
+        id: 'order0',
+        type: 'stop',
+        triggerPrice: .3,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '33322222211111111333L',
+        side: 'ask',
+        size: 100n
+      });
+
+      tradeEngine.addTriggerOrder({
+        id: 'order1',
+        type: 'stop',
+        triggerPrice: .3,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '33322222211111111333L',
+        side: 'ask',
+        size: 200n
+      });
+
+      let closedOrder = tradeEngine.addCloseOrder({
+        id: 'order2',
+        sourceChain: 'clsk',
+        height: 2,
+        orderIdToClose: 'order0'
+      });
+
+      assert.equal(closedOrder.id, 'order0');
+      assert.equal(closedOrder.sizeRemaining, 100n);
+
+      let snapshot = tradeEngine.getSnapshot();
+      tradeEngine.clear();
+      assert.equal(tradeEngine.getTriggerOrders().length, 0);
+
+      tradeEngine.setSnapshot(snapshot);
+
+      let triggerOrders = tradeEngine.getTriggerOrders();
+      assert.equal(triggerOrders.length, 1);
+      assert.equal(triggerOrders[0].id, 'order1');
+      assert.equal(triggerOrders[0].sizeRemaining, 200n);
+
+      let expiredOrders = tradeEngine.expireAskOrders(101);
+      assert.equal(expiredOrders.length, 1);
+      assert.equal(expiredOrders[0].id, 'order1');
+      assert.equal(tradeEngine.getTriggerOrders().length, 0);
+    });
+  });
+
+  describe('Time in force', async () => {
+
+    beforeEach(async () => {
+      tradeEngine.addOrder({
+        id: 'order0',
+        type: 'limit',
+        price: .5,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+
+      tradeEngine.addOrder({
+        id: 'order1',
+        type: 'limit',
+        price: .6,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+    });
+
+    it('Immediate-or-cancel order does not rest in the order book', async () => {
+      let result = tradeEngine.addOrder({
+        id: 'order2',
+        type: 'limit',
+        timeInForce: 'ioc',
+        price: .5,
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height: 2,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '22222222211111111111L',
+        side: 'bid',
+        value: 80n
+      });
+
+      assert.equal(result.takeSize, 100n);
+      assert.equal(result.taker.valueRemaining, 30n);
+      assert.equal(tradeEngine.getBids().length, 0);
+      assert.equal(tradeEngine.getOrder('order2'), undefined);
+      assert.equal(tradeEngine.getAsks().length, 1);
+    });
+
+    it('Fill-or-kill order is rejected if the order book cannot fill it completely', async () => {
+      let result = tradeEngine.addOrder({
+        id: 'order2',
+        type: 'limit',
+        timeInForce: 'fok',
+        price: .5,
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height: 2,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '22222222211111111111L',
+        side: 'bid',
+        value: 80n
+      });
+
+      assert.equal(result.rejectReason, 'Fill or kill order could not be filled');
+      assert.equal(result.makers.length, 0);
+      assert.equal(result.taker.valueRemaining, 80n);
+      assert.equal(tradeEngine.getAsks().length, 2);
+      assert.equal(tradeEngine.getBids().length, 0);
+    });
+
+    it('Fill-or-kill order is matched if the order book can fill it completely', async () => {
+      let result = tradeEngine.addOrder({
+        id: 'order2',
+        type: 'limit',
+        timeInForce: 'fok',
+        price: .6,
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height: 2,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '22222222211111111111L',
+        side: 'bid',
+        value: 80n
+      });
+
+      assert.equal(result.rejectReason, undefined);
+      assert.equal(result.makers.length, 2);
+      assert.equal(result.taker.valueRemaining, 0n);
+      assert.equal(tradeEngine.getAsks().length, 1);
+      assert.equal(tradeEngine.getBids().length, 0);
+    });
+
+    it('Fill-or-kill order is rejected if its remainder is smaller than the minimum partial take', async () => {
+      let minPartialTakeTradeEngine = new TradeEngine({
+        baseCurrency: 'lsk',
+        quoteCurrency: 'clsk',
+        baseOrderHeightExpiry: 100,
+        quoteOrderHeightExpiry: 100,
+        priceDecimalPrecision: 5,
+        quoteMinPartialTake: 50n
+      });
+      minPartialTakeTradeEngine.addOrder({
+        id: 'order0',
+        type: 'limit',
+        price: .5,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+
+      let result = minPartialTakeTradeEngine.addOrder({...createOrder('order1', 'bid', .5, 10n, 2), timeInForce: 'fok'});
+      assert.equal(result.rejectReason, 'Fill or kill order could not be filled');
+      assert.equal(result.taker.valueRemaining, 10n);
+      assert.equal(minPartialTakeTradeEngine.getAsks()[0].sizeRemaining, 100n);
+
+      result = minPartialTakeTradeEngine.addOrder({...createOrder('order2', 'bid', .5, 30n, 2), timeInForce: 'fok'});
+      assert.equal(result.rejectReason, undefined);
+      assert.equal(result.taker.valueRemaining, 0n);
+      assert.equal(minPartialTakeTradeEngine.getAsks()[0].sizeRemaining, 40n);
+    });
+  });
+
+  describe('Post-only orders', async () => {
+
+    beforeEach(async () => {
+      tradeEngine.addOrder({
+        id: 'order0',
+        type: 'limit',
+        price: .5,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+    });
+
+    it('Post-only order which would cross the order book is rejected', async () => {
+      let result = tradeEngine.addOrder({
+        id: 'order1',
+        type: 'limit',
+        postOnly: true,
+        price: .5,
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height: 2,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '22222222211111111111L',
+        side: 'bid',
+        value: 20n
+      });
+
+      assert.equal(result.rejectReason, 'Post-only order would take liquidity');
+      assert.equal(result.taker.valueRemaining, 20n);
+      assert.equal(tradeEngine.getAsks()[0].sizeRemaining, 100n);
+      assert.equal(tradeEngine.getBids().length, 0);
+    });
+
+    it('Post-only order which does not cross the order book is added as a maker', async () => {
+      let result = tradeEngine.addOrder({
+        id: 'order1',
+        type: 'limit',
+        postOnly: true,
+        price: .4,
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height: 2,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '22222222211111111111L',
+        side: 'bid',
+        value: 20n
+      });
+
+      assert.equal(result.rejectReason, undefined);
+      assert.equal(result.makers.length, 0);
+      assert.equal(tradeEngine.getBids()[0].id, 'order1');
+    });
+  });
+
+  describe('Order expiry', async () => {
+
+    it('Orders with a custom expiry height are expired in height order', async () => {
+      tradeEngine.addOrder({
+        id: 'order0',
+        type: 'limit',
+        price: .5,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+
+      tradeEngine.addOrder({
+        id: 'order1',
+        type: 'limit',
+        price: .6,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 2,
+        expiryHeight: 5,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+
+      assert.equal(tradeEngine.getOrder('order1').expiryHeight, 5);
+
+      let expiredOrders = tradeEngine.expireAskOrders(5);
+      assert.equal(expiredOrders.length, 1);
+      assert.equal(expiredOrders[0].id, 'order1');
+      assert.equal(tradeEngine.getAsks().length, 1);
+      assert.equal(tradeEngine.getOrder('order1'), undefined);
+
+      expiredOrders = tradeEngine.expireAskOrders(tradeEngine.getOrder('order0').expiryHeight);
+      assert.equal(expiredOrders.length, 1);
+      assert.equal(expiredOrders[0].id, 'order0');
+      assert.equal(tradeEngine.getAsks().length, 0);
+    });
+
+    it('Custom expiry height is capped by the order height expiry', async () => {
+      tradeEngine.addOrder({
+        id: 'order0',
+        type: 'limit',
+        price: .5,
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height: 1,
+        expiryHeight: 1000000000,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '22222222211111111111L',
+        side: 'bid',
+        value: 100n
+      });
+
+      assert.equal(tradeEngine.getOrder('order0').expiryHeight, 1 + tradeEngine.baseOrderHeightExpiry);
+    });
+
+    it('Filled orders are removed from the expiry index', async () => {
+      tradeEngine.addOrder({
+        id: 'order0',
+        type: 'limit',
+        price: .5,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        expiryHeight: 5,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+
+      tradeEngine.addOrder({
+        id: 'order1',
+        type: 'market',
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height: 2,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '22222222211111111111L',
+        side: 'bid',
+        value: 50n
+      });
+
+      assert.equal(tradeEngine.getAsks().length, 0);
+      assert.equal(tradeEngine.expireAskOrders(5).length, 0);
+    });
+  });
+
+  describe('Modify orders', async () => {
+
+    beforeEach(async () => {
+      tradeEngine.addOrder({
+        id: 'order0',
+        type: 'limit',
+        price: .5,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        sourceWalletAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+
+      tradeEngine.addOrder({
+        id: 'order1',
+        type: 'limit',
+        price: .4,
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height: 1,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '22222222211111111111L',
+        sourceWalletAddress: '22222222211111111111L',
+        side: 'bid',
+        value: 20n
+      });
+    });
+
+    it('Modified order is moved to the new price', async () => {
+      let result = tradeEngine.addModifyOrder({
+        id: 'modify0',
+        type: 'modify',
+        orderIdToModify: 'order0',
+        price: .6,
+        sourceChain: 'clsk',
+        height: 2
+      });
+
+      assert.equal(result.makers.length, 0);
+      let asks = tradeEngine.getAsks();
+      assert.equal(asks.length, 1);
+      assert.equal(asks[0].id, 'order0');
+      assert.equal(asks[0].price, .6);
+      assert.equal(asks[0].sizeRemaining, 100n);
+      assert.equal(tradeEngine.getOrder('order0').price, .6);
+      assert.equal(tradeEngine.getOrder('order0').height, 1);
+    });
+
+    it('Modified order which crosses the order book is matched', async () => {
+      let result = tradeEngine.addModifyOrder({
+        id: 'modify0',
+        type: 'modify',
+        orderIdToModify: 'order0',
+        price: .4,
+        sourceChain: 'clsk',
+        height: 2
+      });
+
+      assert.equal(result.taker.id, 'order0');
+      assert.equal(result.makers.length, 1);
+      assert.equal(result.makers[0].id, 'order1');
+      assert.equal(result.takeSize, 50n);
+      assert.equal(tradeEngine.getBids().length, 0);
+      assert.equal(tradeEngine.getAsks()[0].sizeRemaining, 50n);
+      assert.equal(tradeEngine.getOrder('order1'), undefined);
+    });
+
+    it('Modifying an order which does not exist throws an error', async () => {
+      let error;
+      try {
+        tradeEngine.addModifyOrder({
+          id: 'modify0',
+          type: 'modify',
+          orderIdToModify: 'order2',
+          price: .4,
+          sourceChain: 'clsk',
+          height: 2
+        });
+      } catch (err) {
+        error = err;
+      }
+      assert.notEqual(error, null);
+      assert.equal(error.name, 'OrderNotFoundError');
+      assert.equal(tradeEngine.getAsks()[0].price, .5);
+      // A rejected modify order is not treated as processed.
+      assert.equal(tradeEngine.wasOrderProcessed('modify0', 'clsk', 2), false);
+    });
+
+    it('Modify order is tracked as processed once the order has been modified', async () => {
+      tradeEngine.addModifyOrder({
+        id: 'modify0',
+        type: 'modify',
+        orderIdToModify: 'order0',
+        price: .6,
+        sourceChain: 'clsk',
+        height: 2
+      });
+      assert.equal(tradeEngine.wasOrderProcessed('modify0', 'clsk', 2), true);
+    });
+  });
+
+  describe('Partial close orders', async () => {
+
+    beforeEach(async () => {
+      tradeEngine.addOrder({
+        id: 'order0',
+        type: 'limit',
+        price: .5,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        sourceWalletAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+
+      tradeEngine.addOrder({
+        id: 'order1',
+        type: 'limit',
+        price: .5,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 2,
+        targetWalletAddress: '22245678912345678333L',
+        senderAddress: '11111111111222222333L',
+        sourceWalletAddress: '11111111111222222333L',
+        side: 'ask',
+        size: 100n
+      });
+    });
+
+    it('Partially closed order keeps its time priority', async () => {
+      let closedOrder = tradeEngine.addCloseOrder({
+        id: 'close0',
+        orderIdToClose: 'order0',
+        amountToClose: 60n,
+        sourceChain: 'clsk',
+        height: 3
+      });
+
+      assert.equal(closedOrder.id, 'order0');
+      assert.equal(closedOrder.sizeRemaining, 40n);
+      assert.equal(tradeEngine.getOrder('order0').sizeRemaining, 40n);
+      let askLevel = tradeEngine.getAskLevelIteratorFromMin().next().value;
+      assert.equal(askLevel.sizeRemaining, 140n);
+
+      let result = tradeEngine.addOrder({
+        id: 'order2',
+        type: 'market',
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height: 3,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '22222222211111111111L',
+        side: 'bid',
+        value: 30n
+      });
+
+      assert.equal(result.makers.length, 2);
+      assert.equal(result.makers[0].id, 'order0');
+      assert.equal(result.makers[0].lastSizeTaken, 40n);
+      assert.equal(result.makers[1].id, 'order1');
+      assert.equal(result.makers[1].lastSizeTaken, 20n);
+      assert.equal(tradeEngine.getOrder('order0'), undefined);
+    });
+
+    it('Closing an amount greater than or equal to the remaining size closes the whole order', async () => {
+      tradeEngine.addCloseOrder({
+        id: 'close0',
+        orderIdToClose: 'order0',
+        amountToClose: 100n,
+        sourceChain: 'clsk',
+        height: 3
+      });
+
+      assert.equal(tradeEngine.getOrder('order0'), undefined);
+      let asks = tradeEngine.getAsks();
+      assert.equal(asks.length, 1);
+      assert.equal(asks[0].id, 'order1');
+    });
+  });
+
+  describe('Close all orders', async () => {
+
+    it('All orders from the source wallet on the source chain are closed', async () => {
+      tradeEngine.addOrder({
+        id: 'order0',
+        type: 'limit',
+        price: .5,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        sourceWalletAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+
+      tradeEngine.addOrder({
+        id: 'order1',
+        type: 'limit',
+        price: .6,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        sourceWalletAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+
+      tradeEngine.addOrder({
+        id: 'order2',
+        type: 'limit',
+        price: .7,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        targetWalletAddress: '22245678912345678333L',
+        senderAddress: '11111111111222222333L',
+        sourceWalletAddress: '11111111111222222333L',
+        side: 'ask',
+        size: 100n
+      });
+
+      tradeEngine.addTriggerOrder({
+        id: 'order3',
+        type: 'stop',
+        triggerPrice: .4,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        sourceWalletAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+
+      let closedOrders = tradeEngine.addCloseAllOrder({
+        id: 'close0',
+        sourceChain: 'clsk',
+        sourceWalletAddress: '11111111111222222222L',
+        height: 2
+      });
+
+      assert.equal(closedOrders.length, 3);
+      assert.equal(closedOrders.map(order => order.id).sort().join(','), 'order0,order1,order3');
+      assert.equal(tradeEngine.getTriggerOrders().length, 0);
+      let asks = tradeEngine.getAsks();
+      assert.equal(asks.length, 1);
+      assert.equal(asks[0].id, 'order2');
+      assert.equal(tradeEngine.expireAskOrders(1000000000).length, 1);
+    });
+  });
+
+  describe('Self-trade prevention', async () => {
+
+    let createTradeEngine = (selfTradePrevention, matchingMode) => {
+      let newTradeEngine = new TradeEngine({
+        baseCurrency: 'lsk',
+        quoteCurrency: 'clsk',
+        baseOrderHeightExpiry: 100,
+        quoteOrderHeightExpiry: 100,
+        priceDecimalPrecision: 5,
+        selfTradePrevention,
+        matchingMode
+      });
+      ['11111111111222222222L', '33333333333222222222L', '44444444444222222222L'].forEach((sourceWalletAddress, index) => {
+        newTradeEngine.addOrder({
+          id: `order${index}`,
+          type: 'limit',
+          price: .5,
+          sourceChain: 'clsk',
+          targetChain: 'lsk',
+          height: 1,
+          targetWalletAddress: '22245678912345678222L',
+          senderAddress: sourceWalletAddress,
+          sourceWalletAddress,
+          side: 'ask',
+          size: 100n
+        });
+      });
+      return newTradeEngine;
+    };
+
+    let selfTradeBid = {
+      id: 'order3',
+      type: 'limit',
+      price: .5,
+      sourceChain: 'lsk',
+      targetChain: 'clsk',
+      height: 2,
+      targetWalletAddress: '55555555555222222222L',
+      senderAddress: '33333333333222222222L',
+      sourceWalletAddress: '33333333333222222222L',
+      side: 'bid',
+      value: 75n
+    };
+
+    it('Should reject the new order if the policy is cancelNewest', async () => {
+      let stpTradeEngine = createTradeEngine('cancelNewest');
+      let result = stpTradeEngine.addOrder({...selfTradeBid});
+
+      assert.equal(result.rejectReason, 'Self-trade prevented');
+      assert.equal(result.makers.length, 0);
+      assert.equal(stpTradeEngine.getAsks().length, 3);
+      assert.equal(stpTradeEngine.getBids().length, 0);
+    });
+
+    it('Should not affect orders which do not reach a maker from the same account', async () => {
+      let stpTradeEngine = createTradeEngine('cancelNewest');
+      let result = stpTradeEngine.addOrder({...selfTradeBid, value: 50n});
+
+      assert.equal(result.rejectReason, undefined);
+      assert.equal(result.makers.length, 1);
+      assert.equal(result.makers[0].id, 'order0');
+    });
+
+    it('Should close the makers from the same account if the policy is cancelOldest', async () => {
+      let stpTradeEngine = createTradeEngine('cancelOldest');
+      let result = stpTradeEngine.addOrder({...selfTradeBid});
+
+      assert.equal(result.cancelledMakers.length, 1);
+      assert.equal(result.cancelledMakers[0].id, 'order1');
+      assert.equal(result.cancelledMakers[0].sizeRemaining, 100n);
+      assert.equal(result.makers.length, 2);
+      assert.equal(result.makers[0].id, 'order0');
+      assert.equal(result.makers[1].id, 'order2');
+      assert.equal(stpTradeEngine.getOrder('order1'), undefined);
+      let asks = stpTradeEngine.getAsks();
+      assert.equal(asks.length, 1);
+      assert.equal(asks[0].sizeRemaining, 50n);
+    });
+
+    it('Should skip over the makers from the same account if the policy is skipMaker', async () => {
+      let stpTradeEngine = createTradeEngine('skipMaker');
+      let result = stpTradeEngine.addOrder({...selfTradeBid, value: 150n});
+
+      assert.equal(result.makers.length, 2);
+      assert.equal(result.makers[0].id, 'order0');
+      assert.equal(result.makers[1].id, 'order2');
+      assert.equal(result.taker.timeInForce, undefined);
+      assert.equal(result.taker.valueRemaining, 50n);
+      assert.equal(result.remainderCancelReason, 'Self-trade prevented');
+      assert.equal(stpTradeEngine.getBids().length, 0);
+      let asks = stpTradeEngine.getAsks();
+      assert.equal(asks.length, 1);
+      assert.equal(asks[0].id, 'order1');
+      assert.equal(asks[0].sizeRemaining, 100n);
+      let askLevel = stpTradeEngine.getAskLevelIteratorFromMin().next().value;
+      assert.equal(askLevel.sizeRemaining, 100n);
+    });
+
+    it('Skipped makers should keep their time priority', async () => {
+      let stpTradeEngine = createTradeEngine('skipMaker');
+      stpTradeEngine.addOrder({...selfTradeBid, value: 75n});
+
+      let asks = stpTradeEngine.getAsks();
+      assert.equal(asks.length, 2);
+      assert.equal(asks[0].id, 'order1');
+      assert.equal(asks[1].id, 'order2');
+      assert.equal(asks[1].sizeRemaining, 50n);
+    });
+
+    it('Should reject the new order if the policy is cancelNewest in batch mode', async () => {
+      let stpTradeEngine = createTradeEngine('cancelNewest', 'batch');
+      let results = stpTradeEngine.matchOrderBatch([stpTradeEngine.prepareOrder({...selfTradeBid})]);
+
+      assert.equal(results.length, 1);
+      assert.equal(results[0].rejectReason, 'Self-trade prevented');
+      assert.equal(stpTradeEngine.getAsks().length, 3);
+      assert.equal(stpTradeEngine.getBids().length, 0);
+    });
+
+    it('Should close the makers from the same account before the auction if the policy is cancelOldest in batch mode', async () => {
+      let stpTradeEngine = createTradeEngine('cancelOldest', 'batch');
+      let results = stpTradeEngine.matchOrderBatch([stpTradeEngine.prepareOrder({...selfTradeBid})]);
+
+      assert.equal(results.length, 1);
+      assert.equal(results[0].cancelledMakers.length, 1);
+      assert.equal(results[0].cancelledMakers[0].id, 'order1');
+      assert.equal(results[0].makers.length, 2);
+      assert.equal(results[0].makers[0].id, 'order0');
+      assert.equal(results[0].makers[1].id, 'order2');
+      assert.equal(stpTradeEngine.getOrder('order1'), undefined);
+      let asks = stpTradeEngine.getAsks();
+      assert.equal(asks.length, 1);
+      assert.equal(asks[0].sizeRemaining, 50n);
+    });
+
+    it('Should leave the makers from the same account out of the auction if the policy is skipMaker in batch mode', async () => {
+      let stpTradeEngine = createTradeEngine('skipMaker', 'batch');
+      let results = stpTradeEngine.matchOrderBatch([stpTradeEngine.prepareOrder({...selfTradeBid, value: 150n})]);
+
+      assert.equal(results.length, 1);
+      assert.equal(results[0].makers.length, 2);
+      assert.equal(results[0].makers[0].id, 'order0');
+      assert.equal(results[0].makers[1].id, 'order2');
+      assert.equal(results[0].taker.timeInForce, undefined);
+      assert.equal(results[0].taker.valueRemaining, 50n);
+      assert.equal(results[0].remainderCancelReason, 'Self-trade prevented');
+      assert.equal(stpTradeEngine.getBids().length, 0);
+      let asks = stpTradeEngine.getAsks();
+      assert.equal(asks.length, 1);
+      assert.equal(asks[0].id, 'order1');
+      assert.equal(asks[0].sizeRemaining, 100n);
+    });
+
+    it('Should prevent self-trades between the orders of a batch', async () => {
+      let stpTradeEngine = createTradeEngine('cancelOldest', 'batch');
+      let selfTradeAsk = {
+        id: 'order4',
+        type: 'limit',
+        price: .4,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 2,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '33333333333222222222L',
+        sourceWalletAddress: '33333333333222222222L',
+        side: 'ask',
+        size: 100n
+      };
+      let results = stpTradeEngine.matchOrderBatch([
+        stpTradeEngine.prepareOrder(selfTradeAsk),
+        stpTradeEngine.prepareOrder({...selfTradeBid})
+      ]);
+
+      assert.equal(results.length, 2);
+      assert.equal(results[0].taker.id, 'order4');
+      assert.equal(results[0].rejectReason, 'Self-trade prevented');
+      assert.equal(results[1].taker.id, 'order3');
+      assert.equal(results[1].rejectReason, undefined);
+      assert.equal(results[1].cancelledMakers.length, 1);
+      assert.equal(results[1].makers.length, 2);
+      assert.equal(results[1].makers.some(makerOrder => makerOrder.id === 'order4'), false);
+
+      let skipMakerTradeEngine = createTradeEngine('skipMaker', 'batch');
+      results = skipMakerTradeEngine.matchOrderBatch([
+        skipMakerTradeEngine.prepareOrder({...selfTradeAsk}),
+        skipMakerTradeEngine.prepareOrder({...selfTradeBid})
+      ]);
+
+      assert.equal(results[0].rejectReason, undefined);
+      assert.equal(results[1].rejectReason, 'Self-trade prevented');
+    });
+  });
+
+  describe('Market orders with a worst price', async () => {
+
+    beforeEach(async () => {
+      tradeEngine.addOrder({
+        id: 'order0',
+        type: 'limit',
+        price: .5,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+
+      tradeEngine.addOrder({
+        id: 'order1',
+        type: 'limit',
+        price: .8,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+    });
+
+    it('Market order should stop matching at its worst price', async () => {
+      let result = tradeEngine.addOrder({
+        id: 'order2',
+        type: 'market',
+        price: .6,
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height: 2,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '22222222211111111111L',
+        side: 'bid',
+        value: 100n
+      });
+
+      assert.equal(result.taker.type, 'market');
+      assert.equal(result.makers.length, 1);
+      assert.equal(result.makers[0].id, 'order0');
+      assert.equal(result.takeSize, 100n);
+      assert.equal(result.taker.valueRemaining, 50n);
+      assert.equal(tradeEngine.getBids().length, 0);
+      assert.equal(tradeEngine.getOrder('order2'), undefined);
+      assert.equal(tradeEngine.getAsks().length, 1);
+    });
+
+    it('Market order without a worst price should match every level', async () => {
+      let result = tradeEngine.addOrder({
+        id: 'order2',
+        type: 'market',
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height: 2,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '22222222211111111111L',
+        side: 'bid',
+        value: 100n
+      });
+
+      assert.equal(result.makers.length, 2);
+      assert.equal(result.taker.valueRemaining, 0n);
+    });
+  });
+
+  describe('Trailing stop orders', async () => {
+
+    let addTrade = (id, height, price) => {
+      tradeEngine.addOrder({
+        id: `${id}-ask`,
+        type: 'limit',
+        price,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+      return tradeEngine.addOrder({
+        id: `${id}-bid`,
+        type: 'limit',
+        price,
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '22222222211111111111L',
+        side: 'bid',
+        value: BigInt(Math.round(price * 100))
+      });
+    };
+
+    it('Trailing stop trigger price should follow the highest traded price', async () => {
+      addTrade('trade0', 1, .5);
+
+      let trailingOrder = tradeEngine.addTriggerOrder({
+        id: 'order0',
+        type: 'trailing',
+        trailingPercentage: 10,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 2,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+
+      assert.equal(trailingOrder.type, 'market');
+      assert.equal(trailingOrder.triggerPrice, .45);
+
+      addTrade('trade1', 3, .6);
+      assert.equal(tradeEngine.getTriggerOrder('order0').triggerPrice, .54);
+      assert.equal(tradeEngine.processTriggerOrders().length, 0);
+
+      addTrade('trade2', 4, .55);
+      assert.equal(tradeEngine.getTriggerOrder('order0').triggerPrice, .54);
+      assert.equal(tradeEngine.processTriggerOrders().length, 0);
+
+      tradeEngine.addOrder({
+        id: 'order1',
+        type: 'limit',
+        price: .53,
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height: 5,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '22222222211111111111L',
+        side: 'bid',
+        value: 530n
+      });
+      addTrade('trade3', 5, .54);
+
+      let results = tradeEngine.processTriggerOrders();
+      assert.equal(results.length, 1);
+      assert.equal(results[0].taker.id, 'order0');
+      assert.equal(results[0].makers.length, 1);
+      assert.equal(results[0].makers[0].id, 'order1');
+      assert.equal(tradeEngine.getTriggerOrders().length, 0);
+    });
+
+    it('Trailing stop state should be part of the snapshot', async () => {
+      addTrade('trade0', 1, .5);
+
+      tradeEngine.addTriggerOrder({
+        id: 'order0',
+        type: 'trailing',
+        trailingOffset: .1,
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height: 2,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '22222222211111111111L',
+        side: 'bid',
+        value: 100n
+      });
+      addTrade('trade1', 3, .4);
+
+      let snapshot = JSON.parse(JSON.stringify(tradeEngine.getSnapshot()));
+      tradeEngine.setSnapshot(snapshot);
+
+      let trailingOrder = tradeEngine.getTriggerOrder('order0');
+      assert.equal(trailingOrder.trailingReferencePrice, .4);
+      assert.equal(trailingOrder.triggerPrice, .5);
+      assert.equal(trailingOrder.valueRemaining, 100n);
+    });
+  });
+
+  describe('Timestamp expiry', async () => {
+
+    it('Orders on both sides should expire based on their expiry timestamp', async () => {
+      tradeEngine.addOrder({
+        id: 'order0',
+        type: 'limit',
+        price: .6,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        expiryTimestamp: 2000,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+
+      tradeEngine.addOrder({
+        id: 'order1',
+        type: 'limit',
+        price: .5,
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height: 1,
+        expiryTimestamp: 2000,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '22222222211111111111L',
+        side: 'bid',
+        value: 100n
+      });
+
+      tradeEngine.addOrder({
+        id: 'order2',
+        type: 'limit',
+        price: .4,
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height: 1,
+        expiryTimestamp: 3000,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '22222222211111111111L',
+        side: 'bid',
+        value: 100n
+      });
+
+      assert.equal(tradeEngine.expireOrdersByTimestamp(1999).length, 0);
+
+      let expiredOrders = tradeEngine.expireOrdersByTimestamp(2000);
+      assert.equal(expiredOrders.length, 2);
+      assert.equal(expiredOrders[0].id, 'order0');
+      assert.equal(expiredOrders[1].id, 'order1');
+      assert.equal(tradeEngine.getAsks().length, 0);
+      assert.equal(tradeEngine.getBids().length, 1);
+
+      // The order should no longer be in the height expiry index either.
+      assert.equal(tradeEngine.expireBidOrders(1000000000).length, 1);
+      assert.equal(tradeEngine.expireOrdersByTimestamp(3000).length, 0);
+    });
+  });
+
+  describe('Custom matching engine', async () => {
+
+    it('Should use the matching engine class which was provided', async () => {
+      let addedOrderIds = [];
+      class CustomMatchingEngine extends MatchingEngine {
+        add(order) {
+          addedOrderIds.push(order.id);
+          return super.add(order);
+        }
+      }
+      let customTradeEngine = new TradeEngine({
+        baseCurrency: 'lsk',
+        quoteCurrency: 'clsk',
+        baseOrderHeightExpiry: 100,
+        quoteOrderHeightExpiry: 100,
+        priceDecimalPrecision: 5,
+        matchingEngineClass: CustomMatchingEngine
+      });
+
+      customTradeEngine.addOrder({
+        id: 'order0',
+        type: 'limit',
+        price: .5,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+
+      assert.equal(customTradeEngine.orderBook instanceof CustomMatchingEngine, true);
+      assert.equal(addedOrderIds.join(','), 'order0');
+      assert.equal(customTradeEngine.getAsks()[0].id, 'order0');
+    });
+
+    it('Should work with a matching engine which only implements the documented interface', async () => {
+      let runScenario = (matchingEngineClass, matchingMode) => {
+        let scenarioTradeEngine = new TradeEngine({
+          baseCurrency: 'lsk',
+          quoteCurrency: 'clsk',
+          baseOrderHeightExpiry: 100,
+          quoteOrderHeightExpiry: 100,
+          priceDecimalPrecision: 5,
+          selfTradePrevention: 'skipMaker',
+          matchingMode,
+          matchingEngineClass
+        });
+        let results = [];
+        results.push(scenarioTradeEngine.addOrder(createOrder('order0', 'ask', .5, 100n, 1)));
+        results.push(scenarioTradeEngine.addOrder(createOrder('order1', 'ask', .5, 100n, 1, '33333333333222222222L')));
+        results.push(scenarioTradeEngine.addOrder(createOrder('order2', 'ask', .5, 100n, 1)));
+        results.push(scenarioTradeEngine.addOrder(createOrder('order3', 'ask', .6, 200n, 1)));
+        results.push(scenarioTradeEngine.addOrder(createOrder('order4', 'bid', .4, 30n, 1)));
+        scenarioTradeEngine.addCloseOrder({
+          id: 'close0',
+          orderIdToClose: 'order3',
+          amountToClose: 50n,
+          sourceChain: 'clsk',
+          height: 2
+        });
+        results.push(scenarioTradeEngine.addOrder(createOrder('order5', 'bid', .5, 75n, 2, '33333333333222222222L')));
+        results.push(scenarioTradeEngine.addOrder(createOrder('order6', 'ask', null, 50n, 2)));
+        results.push(scenarioTradeEngine.addOrder(createOrder('order7', 'bid', null, 60n, 2)));
+        return {
+          results: results.map(result => ({
+            takerId: result.taker.id,
+            makers: result.makers.map(
+              makerOrder => `${makerOrder.id}:${makerOrder.lastSizeTaken}:${makerOrder.lastValueTaken}`
+            ),
+            takeSize: result.takeSize,
+            takeValue: result.takeValue,
+            remainderCancelReason: result.remainderCancelReason
+          })),
+          asks: scenarioTradeEngine.getAsks().map(order => `${order.id}:${order.sizeRemaining}`),
+          bids: scenarioTradeEngine.getBids().map(order => `${order.id}:${order.valueRemaining}`),
+          askLevels: [...scenarioTradeEngine.getAskLevelIteratorFromMin()]
+            .map(level => `${level.price}:${level.sizeRemaining}`),
+          bidLevels: [...scenarioTradeEngine.getBidLevelIteratorFromMax()]
+            .map(level => `${level.price}:${level.valueRemaining}`),
+          orderBookHash: scenarioTradeEngine.orderBookHash
+        };
+      };
+
+      for (let matchingMode of ['continuous', 'batch']) {
+        let expected = runScenario(MatchingEngine, matchingMode);
+        let actual = runScenario(ListMatchingEngine, matchingMode);
+        assert.deepStrictEqual(actual, expected);
+        assert.equal(expected.results[5].makers.length > 0, true);
+        // The maker which was skipped because of self-trade prevention keeps its time priority.
+        assert.equal(expected.results[7].makers[0], 'order1:100:50');
+      }
+    });
+  });
+
+  describe('Batch matching mode', async () => {
+    let batchTradeEngine;
+    beforeEach(async () => {
+      batchTradeEngine = new TradeEngine({
+        baseCurrency: 'lsk',
+        quoteCurrency: 'clsk',
+        baseOrderHeightExpiry: 100,
+        quoteOrderHeightExpiry: 100,
+        priceDecimalPrecision: 5,
+        matchingMode: 'batch'
+      });
+    });
+
+    it('Should match all the orders of a batch at a single clearing price', async () => {
+      batchTradeEngine.addOrder(createOrder('order0', 'ask', .4, 50n, 1));
+      batchTradeEngine.addOrder(createOrder('order1', 'ask', .5, 50n, 1));
+
+      let results = batchTradeEngine.matchOrderBatch([
+        batchTradeEngine.prepareOrder(createOrder('order2', 'bid', .5, 50n, 2))
+      ]);
+
+      assert.equal(results.length, 1);
+      assert.equal(results[0].taker.id, 'order2');
+      assert.equal(results[0].takeSize, 100n);
+      assert.equal(results[0].takeValue, 50n);
+      assert.equal(results[0].makers.length, 2);
+      assert.equal(results[0].makers[0].id, 'order0');
+      assert.equal(results[0].makers[0].lastSizeTaken, 50n);
+      assert.equal(results[0].makers[0].lastValueTaken, 25n);
+      assert.equal(results[0].makers[1].id, 'order1');
+      assert.equal(results[0].makers[1].lastValueTaken, 25n);
+      assert.equal(batchTradeEngine.getAsks().length, 0);
+      assert.equal(batchTradeEngine.getBids().length, 0);
+      assert.equal(batchTradeEngine.lastPrice, .5);
+    });
+
+    it('Should share the volume pro rata between new orders at the same price', async () => {
+      batchTradeEngine.addOrder(createOrder('order0', 'ask', .5, 100n, 1));
+
+      let results = batchTradeEngine.matchOrderBatch([
+        batchTradeEngine.prepareOrder(createOrder('order1', 'bid', .5, 30n, 2)),
+        batchTradeEngine.prepareOrder(createOrder('order2', 'bid', .5, 30n, 2))
+      ]);
+
+      assert.equal(results.length, 2);
+      assert.equal(results[0].taker.id, 'order1');
+      assert.equal(results[0].takeSize, 50n);
+      assert.equal(results[0].takeValue, 25n);
+      assert.equal(results[0].taker.valueRemaining, 5n);
+      assert.equal(results[1].taker.id, 'order2');
+      assert.equal(results[1].takeSize, 50n);
+      assert.equal(results[1].takeValue, 25n);
+      assert.equal(batchTradeEngine.getAsks().length, 0);
+
+      let bids = batchTradeEngine.getBids();
+      assert.equal(bids.length, 2);
+      assert.equal(bids[0].valueRemaining, 5n);
+      assert.equal(bids[1].valueRemaining, 5n);
+    });
+
+    it('Should reject a fill-or-kill order which the auction would only fill partially', async () => {
+      batchTradeEngine.addOrder(createOrder('order0', 'ask', 1, 100n, 1));
+      let fillOrKillOrder = createOrder('order1', 'bid', 1, 100n, 2);
+      fillOrKillOrder.timeInForce = 'fok';
+
+      let results = batchTradeEngine.matchOrderBatch([
+        batchTradeEngine.prepareOrder(fillOrKillOrder),
+        batchTradeEngine.prepareOrder(createOrder('order2', 'bid', 1, 100n, 2))
+      ]);
+
+      assert.equal(results.length, 2);
+      assert.equal(results[0].taker.id, 'order1');
+      assert.equal(results[0].rejectReason, 'Fill or kill order could not be filled');
+      assert.equal(results[0].takeSize, 0n);
+      assert.equal(results[0].makers.length, 0);
+      assert.equal(results[1].taker.id, 'order2');
+      assert.equal(results[1].takeSize, 100n);
+      assert.equal(results[1].takeValue, 100n);
+      assert.equal(batchTradeEngine.getAsks().length, 0);
+      assert.equal(batchTradeEngine.getBids().length, 0);
+    });
+
+    it('Should fill a fill-or-kill order against other orders of the same batch', async () => {
+      let fillOrKillOrder = createOrder('order1', 'bid', 1, 100n, 2);
+      fillOrKillOrder.timeInForce = 'fok';
+
+      let results = batchTradeEngine.matchOrderBatch([
+        batchTradeEngine.prepareOrder(createOrder('order0', 'ask', 1, 100n, 2)),
+        batchTradeEngine.prepareOrder(fillOrKillOrder)
+      ]);
+
+      assert.equal(results[1].taker.id, 'order1');
+      assert.equal(results[1].rejectReason, undefined);
+      assert.equal(results[1].takeSize, 100n);
+      assert.equal(results[1].taker.valueRemaining, 0n);
+    });
+
+    it('Should not match the part of an order which was left over by the auction again', async () => {
+      batchTradeEngine.addOrder(createOrder('order0', 'ask', .5, 100n, 1));
+      batchTradeEngine.addOrder(createOrder('order1', 'ask', .6, 100n, 1));
+
+      let results = batchTradeEngine.matchOrderBatch([
+        batchTradeEngine.prepareOrder(createOrder('order2', 'bid', .6, 60n, 2))
+      ]);
+
+      assert.equal(results.length, 1);
+      assert.equal(results[0].takeSize, 100n);
+      assert.equal(results[0].takeValue, 50n);
+      assert.equal(results[0].makers.length, 1);
+      assert.equal(results[0].makers[0].id, 'order0');
+      assert.equal(results[0].taker.valueRemaining, 10n);
+      assert.equal(results[0].remainderCancelReason, 'Crosses the order book after the auction');
+      assert.equal(batchTradeEngine.getBids().length, 0);
+
+      let asks = batchTradeEngine.getAsks();
+      assert.equal(asks.length, 1);
+      assert.equal(asks[0].id, 'order1');
+      assert.equal(asks[0].sizeRemaining, 100n);
+    });
+
+    it('Should match new orders against each other with the last order of the batch as the taker', async () => {
+      let results = batchTradeEngine.matchOrderBatch([
+        batchTradeEngine.prepareOrder(createOrder('order0', 'ask', .5, 100n, 1)),
+        batchTradeEngine.prepareOrder(createOrder('order1', 'bid', .6, 60n, 1))
+      ]);
+
+      assert.equal(results.length, 2);
+      assert.equal(results[0].taker.id, 'order0');
+      assert.equal(results[0].makers.length, 0);
+      assert.equal(results[0].taker.sizeRemaining, 0n);
+      assert.equal(results[1].taker.id, 'order1');
+      assert.equal(results[1].makers.length, 1);
+      assert.equal(results[1].makers[0].id, 'order0');
+      assert.equal(results[1].makers[0].lastSizeTaken, 100n);
+      assert.equal(results[1].makers[0].lastValueTaken, 60n);
+      assert.equal(results[1].taker.valueRemaining, 0n);
+      assert.equal(batchTradeEngine.lastPrice, .6);
+      assert.equal(batchTradeEngine.getAsks().length, 0);
+      assert.equal(batchTradeEngine.getBids().length, 0);
+    });
+
+    it('Should throw if the matching mode is invalid', async () => {
+      assert.throws(() => {
+        new TradeEngine({
+          baseCurrency: 'lsk',
+          quoteCurrency: 'clsk',
+          baseOrderHeightExpiry: 100,
+          quoteOrderHeightExpiry: 100,
+          matchingMode: 'foo'
+        });
+      });
+    });
+  });
+
+  describe('Pro rata price level allocation', async () => {
+    let proRataTradeEngine;
+
+    beforeEach(async () => {
+      proRataTradeEngine = new TradeEngine({
+        baseCurrency: 'lsk',
+        quoteCurrency: 'clsk',
+        baseOrderHeightExpiry: 100,
+        quoteOrderHeightExpiry: 100,
+        priceDecimalPrecision: 5,
+        priceLevelAllocation: 'proRata'
+      });
+    });
+
+    it('Should split a partially consumed ask level between its makers', async () => {
+      [['order0', .5, 100n], ['order1', .5, 300n], ['order2', .4, 10n]].forEach(([id, price, size]) => {
+        proRataTradeEngine.addOrder({
+          id,
+          type: 'limit',
+          price,
+          sourceChain: 'clsk',
+          targetChain: 'lsk',
+          height: 1,
+          targetWalletAddress: '22245678912345678222L',
+          senderAddress: '11111111111222222222L',
+          side: 'ask',
+          size
+        });
+      });
+
+      let result = proRataTradeEngine.addOrder({
+        id: 'order3',
+        type: 'limit',
+        price: .5,
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height: 2,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '22222222211111111111L',
+        side: 'bid',
+        value: 105n
+      });
+
+      assert.equal(result.makers.length, 3);
+      assert.equal(result.makers[0].id, 'order2');
+      assert.equal(result.makers[0].lastSizeTaken, 10n);
+      assert.equal(result.makers[1].id, 'order0');
+      assert.equal(result.makers[1].lastSizeTaken, 51n);
+      assert.equal(result.makers[1].lastValueTaken, 26n);
+      assert.equal(result.makers[2].id, 'order1');
+      assert.equal(result.makers[2].lastSizeTaken, 151n);
+      assert.equal(result.makers[2].lastValueTaken, 75n);
+      assert.equal(result.takeSize, 212n);
+      assert.equal(result.takeValue, 104n);
+      assert.equal(result.taker.valueRemaining, 0n);
+
+      let asks = proRataTradeEngine.getAsks();
+      assert.equal(asks.length, 2);
+      assert.equal(asks[0].id, 'order0');
+      assert.equal(asks[0].sizeRemaining, 49n);
+      assert.equal(asks[1].id, 'order1');
+      assert.equal(asks[1].sizeRemaining, 149n);
+      assert.equal(proRataTradeEngine.getBids().length, 0);
+    });
+
+    it('Should split a partially consumed bid level between its makers', async () => {
+      [['order0', 50n], ['order1', 150n]].forEach(([id, value]) => {
+        proRataTradeEngine.addOrder({
+          id,
+          type: 'limit',
+          price: .5,
+          sourceChain: 'lsk',
+          targetChain: 'clsk',
+          height: 1,
+          targetWalletAddress: '11145678912345678111L',
+          senderAddress: '22222222211111111111L',
+          side: 'bid',
+          value
+        });
+      });
+
+      let result = proRataTradeEngine.addOrder({
+        id: 'order2',
+        type: 'market',
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 2,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+
+      assert.equal(result.makers.length, 2);
+      assert.equal(result.makers[0].lastValueTaken, 13n);
+      assert.equal(result.makers[0].lastSizeTaken, 26n);
+      assert.equal(result.makers[1].lastValueTaken, 37n);
+      assert.equal(result.makers[1].lastSizeTaken, 74n);
+      assert.equal(result.takeValue, 50n);
+
+      let bids = proRataTradeEngine.getBids();
+      assert.equal(bids.length, 2);
+      assert.equal(bids[0].valueRemaining, 37n);
+      assert.equal(bids[1].valueRemaining, 113n);
+    });
+
+    it('Should pay the whole taker amount to the makers when the price is greater than 1', async () => {
+      ['order0', 'order1', 'order2'].forEach((id) => {
+        proRataTradeEngine.addOrder(createOrder(id, 'ask', 2.5, 1000n, 1));
+      });
+
+      let result = proRataTradeEngine.addOrder(createOrder('order3', 'bid', null, 1001n, 2));
+      let makerValueTotal = result.makers.reduce((sum, maker) => sum + maker.lastValueTaken, 0n);
+      assert.equal(result.makers.length, 3);
+      assert.equal(makerValueTotal + result.taker.valueRemaining, 1001n);
+      assert.equal(makerValueTotal, 1001n);
+      assert.deepEqual(result.makers.map(maker => maker.lastSizeTaken), [134n, 133n, 133n]);
+    });
+
+    it('Should pay the whole taker amount to the makers when the price is less than 1', async () => {
+      ['order0', 'order1', 'order2'].forEach((id) => {
+        proRataTradeEngine.addOrder(createOrder(id, 'bid', .4, 1000n, 1));
+      });
+
+      let result = proRataTradeEngine.addOrder(createOrder('order3', 'ask', null, 1001n, 2));
+      let makerSizeTotal = result.makers.reduce((sum, maker) => sum + maker.lastSizeTaken, 0n);
+      assert.equal(result.makers.length, 3);
+      assert.equal(makerSizeTotal + result.taker.sizeRemaining, 1001n);
+      assert.equal(makerSizeTotal, 1001n);
+    });
+  });
+
+  describe('Auctions', async () => {
+
+    it('Should hold orders until the auction ends and then match them at a single price', async () => {
+      tradeEngine.startAuction(10);
+      assert.equal(tradeEngine.isAuctionInProgress(), true);
+
+      tradeEngine.addAuctionOrder({
+        id: 'order0',
+        type: 'limit',
+        price: .4,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+      tradeEngine.addAuctionOrder({
+        id: 'order1',
+        type: 'limit',
+        price: .6,
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height: 2,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '22222222211111111111L',
+        side: 'bid',
+        value: 30n
+      });
+
+      assert.equal(tradeEngine.getAuctionOrders().length, 2);
+      assert.equal(tradeEngine.getAsks().length, 0);
+      assert.equal(tradeEngine.getBids().length, 0);
+
+      let snapshot = tradeEngine.getSnapshot();
+      assert.equal(snapshot.auctionEndHeight, 10);
+      assert.equal(snapshot.auctionOrders.length, 2);
+
+      let results = tradeEngine.endAuction();
+
+      assert.equal(tradeEngine.isAuctionInProgress(), false);
+      assert.equal(tradeEngine.getAuctionOrders().length, 0);
+      assert.equal(results.length, 2);
+      assert.equal(results[1].taker.id, 'order1');
+      assert.equal(results[1].makers.length, 1);
+      assert.equal(results[1].makers[0].id, 'order0');
+      assert.equal(results[1].makers[0].lastSizeTaken, 75n);
+      assert.equal(results[1].makers[0].lastValueTaken, 30n);
+      assert.equal(tradeEngine.lastPrice, .4);
+
+      let asks = tradeEngine.getAsks();
+      assert.equal(asks.length, 1);
+      assert.equal(asks[0].id, 'order0');
+      assert.equal(asks[0].sizeRemaining, 25n);
+    });
+
+    it('Should allow orders to be closed while the auction is in progress', async () => {
+      tradeEngine.startAuction(10);
+      tradeEngine.addAuctionOrder({
+        id: 'order0',
+        type: 'limit',
+        price: .4,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        sourceWalletAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+      tradeEngine.addCloseOrder({
+        id: 'close0',
+        sourceChain: 'clsk',
+        height: 2,
+        orderIdToClose: 'order0',
+        amountToClose: 40n
+      });
+
+      assert.equal(tradeEngine.getAuctionOrder('order0').sizeRemaining, 60n);
+
+      tradeEngine.addCloseAllOrder({
+        id: 'close1',
+        sourceChain: 'clsk',
+        sourceWalletAddress: '11111111111222222222L',
+        height: 3
+      });
+
+      assert.equal(tradeEngine.getAuctionOrders().length, 0);
+      assert.equal(tradeEngine.endAuction().length, 0);
+    });
+  });
+
+  describe('Order book hash', async () => {
+
+    it('Should be different for the same orders with different remaining amounts', async () => {
+      let emptyHash = tradeEngine.orderBookHash;
+      assert.equal(emptyHash, '0000000000000000000000000000000000000000000000000000000000000000');
+
+      let orders = [
+        ['order0', 'ask', .5],
+        ['order1', 'ask', .6],
+        ['order2', 'bid', .4]
+      ];
+      for (let [id, side, price] of orders) {
+        tradeEngine.addOrder({
+          id,
+          type: 'limit',
+          price,
+          sourceChain: side === 'ask' ? 'clsk' : 'lsk',
+          targetChain: side === 'ask' ? 'lsk' : 'clsk',
+          height: 1,
+          targetWalletAddress: '22245678912345678222L',
+          senderAddress: '11111111111222222222L',
+          sourceWalletAddress: '11111111111222222222L',
+          side,
+          [side === 'ask' ? 'size' : 'value']: 100n
+        });
+      }
+      let fullHash = tradeEngine.orderBookHash;
+      assert.notEqual(fullHash, emptyHash);
+
+      tradeEngine.addCloseOrder({
+        id: 'close0',
+        sourceChain: 'clsk',
+        height: 2,
+        orderIdToClose: 'order0',
+        amountToClose: 10n
+      });
+      assert.equal(tradeEngine.getAsks().length, 2);
+      assert.notEqual(tradeEngine.orderBookHash, fullHash);
+    });
+
+    it('Should provide an inclusion proof for an order', async () => {
+      let orders = [
+        ['order0', 'ask', .5],
+        ['order1', 'ask', .6],
+        ['order2', 'bid', .4]
+      ];
+      for (let [id, side, price] of orders) {
+        tradeEngine.addOrder({
+          id,
+          type: 'limit',
+          price,
+          sourceChain: side === 'ask' ? 'clsk' : 'lsk',
+          targetChain: side === 'ask' ? 'lsk' : 'clsk',
+          height: 1,
+          targetWalletAddress: '22245678912345678222L',
+          senderAddress: '11111111111222222222L',
+          sourceWalletAddress: '11111111111222222222L',
+          side,
+          [side === 'ask' ? 'size' : 'value']: 100n
+        });
+      }
+
+      for (let [id] of orders) {
+        let orderProof = tradeEngine.getOrderProof(id);
+        assert.equal(orderProof.orderBookHash, tradeEngine.orderBookHash);
+        assert.equal(orderProof.leaf.split(',')[1], id);
+        assert.equal(verifyMerkleProof(orderProof.leafHash, orderProof.proof, orderProof.orderBookHash), true);
+      }
+      assert.equal(tradeEngine.getOrderProof('order0').leaf, 'book,order0,ask,0.5,100,11111111111222222222L,22245678912345678222L');
+      assert.equal(tradeEngine.getOrderProof('order3'), null);
+    });
+
+    it('Should hash leaves and internal nodes with different prefixes', async () => {
+      let sha256 = (...parts) => crypto.createHash('sha256').update(Buffer.concat(parts)).digest('hex');
+      for (let [id, side, price] of [['order0', 'ask', .5], ['order1', 'bid', .4]]) {
+        tradeEngine.addOrder({...createOrder(id, side, price, 100n, 1)});
+      }
+      let askProof = tradeEngine.getOrderProof('order0');
+      let bidProof = tradeEngine.getOrderProof('order1');
+
+      assert.equal(askProof.leafHash, sha256(Buffer.from([0]), Buffer.from(askProof.leaf)));
+      assert.equal(
+        tradeEngine.orderBookHash,
+        sha256(Buffer.from([1]), Buffer.from(askProof.leafHash, 'hex'), Buffer.from(bidProof.leafHash, 'hex'))
+      );
+    });
+
+    it('Should only recompute the order book hash after the orders have changed', async () => {
+      let stateLeavesCount = 0;
+      let getStateLeaves = tradeEngine._getStateLeaves;
+      tradeEngine._getStateLeaves = function () {
+        stateLeavesCount++;
+        return getStateLeaves.call(this);
+      };
+      tradeEngine.addOrder(createOrder('order0', 'ask', .5, 100n, 1));
+      let hash = tradeEngine.orderBookHash;
+      assert.equal(tradeEngine.orderBookHash, hash);
+      assert.equal(tradeEngine.getOrderProof('order0').orderBookHash, hash);
+      assert.equal(stateLeavesCount, 1);
+
+      tradeEngine.addOrder(createOrder('order1', 'bid', .5, 10n, 2));
+      assert.notEqual(tradeEngine.orderBookHash, hash);
+      assert.equal(stateLeavesCount, 2);
+
+      tradeEngine.addTriggerOrder({...createOrder('order2', 'ask', null, 50n, 2), type: 'stop', triggerPrice: .4});
+      tradeEngine.getOrderProof('order2');
+      assert.equal(stateLeavesCount, 3);
+    });
+  });
+
+  describe('Events', async () => {
+
+    it('Should emit events for added, matched, closed and expired orders', async () => {
+      let events = [];
+      for (let eventName of ['orderAdded', 'orderMatched', 'orderPartiallyFilled', 'orderExpired', 'orderClosed', 'snapshotRestored']) {
+        tradeEngine.on(eventName, data => events.push({eventName, data}));
+      }
+
+      tradeEngine.addOrder({
+        id: 'order0',
+        type: 'limit',
+        price: .5,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        sourceWalletAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+      tradeEngine.addOrder({
+        id: 'order1',
+        type: 'market',
+        sourceChain: 'lsk',
+        targetChain: 'clsk',
+        height: 2,
+        targetWalletAddress: '11145678912345678111L',
+        senderAddress: '22222222211111111111L',
+        sourceWalletAddress: '22222222211111111111L',
+        side: 'bid',
+        value: 20n
+      });
+
+      assert.equal(events.length, 3);
+      assert.equal(events[0].eventName, 'orderAdded');
+      assert.equal(events[0].data.order.id, 'order0');
+      assert.equal(events[1].eventName, 'orderMatched');
+      assert.equal(events[1].data.takerOrderId, 'order1');
+      assert.equal(events[1].data.makerOrderId, 'order0');
+      assert.equal(events[1].data.price, .5);
+      assert.equal(events[1].data.size, 40n);
+      assert.equal(events[1].data.value, 20n);
+      assert.equal(events[2].eventName, 'orderPartiallyFilled');
+      assert.equal(events[2].data.order.id, 'order0');
+      assert.equal(events[2].data.order.sizeRemaining, 60n);
+
+      tradeEngine.addCloseOrder({
+        id: 'close0',
+        sourceChain: 'clsk',
+        height: 3,
+        orderIdToClose: 'order0',
+        amountToClose: 10n
+      });
+      assert.equal(events[3].eventName, 'orderClosed');
+      assert.equal(events[3].data.amount, 10n);
+
+      let snapshot = tradeEngine.getSnapshot();
+      tradeEngine.expireAskOrders(1000);
+      assert.equal(events[4].eventName, 'orderExpired');
+      assert.equal(events[4].data.order.id, 'order0');
+
+      tradeEngine.setSnapshot(snapshot);
+      assert.equal(events[5].eventName, 'snapshotRestored');
+      assert.equal(events[5].data.orderBookHash, tradeEngine.orderBookHash);
+      assert.equal(events.length, 6);
+    });
+  });
+
+  describe('Snapshots', async () => {
+
+    it('Should keep track of processed orders after a snapshot is restored', async () => {
+      tradeEngine.addOrder({
+        id: 'order0',
+        type: 'limit',
+        price: .5,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 5,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        side: 'ask',
+        size: 100n
+      });
+
+      let snapshot = JSON.parse(JSON.stringify(tradeEngine.getSnapshot()));
+      assert.equal(snapshot.version, 2);
+      assert.equal(snapshot.lastProcessedHeightsInfo.clsk.height, 5);
+      assert.equal(JSON.stringify(snapshot.lastProcessedHeightsInfo.clsk.orderIds), '["order0"]');
+
+      tradeEngine.setSnapshot(snapshot);
+
+      assert.equal(tradeEngine.wasOrderProcessed('order0', 'clsk', 5), true);
+      assert.equal(tradeEngine.wasOrderProcessed('order1', 'clsk', 5), false);
+      assert.equal(tradeEngine.wasOrderProcessed('order2', 'clsk', 4), true);
+      assert.throws(() => {
+        tradeEngine.trackProcessedOrder({id: 'order0', sourceChain: 'clsk', height: 5});
+      });
+    });
+
+    it('Should restore snapshots without a version', async () => {
+      tradeEngine.setSnapshot({
+        askLimitOrders: [],
+        bidLimitOrders: []
+      });
+      assert.equal(tradeEngine.lastProcessedHeightsInfo.clsk.height, 0);
+      assert.equal(tradeEngine.lastProcessedHeightsInfo.clsk.orderIds.size, 0);
+    });
+
+    it('Should throw if the snapshot version is not supported', async () => {
+      assert.throws(() => {
+        tradeEngine.setSnapshot({
+          version: 3,
+          askLimitOrders: [],
+          bidLimitOrders: []
+        });
+      }, {name: 'UnsupportedSnapshotVersionError'});
+    });
+  });
+
+  describe('Price bands and circuit breaker', async () => {
+    let protectedTradeEngine;
+    beforeEach(async () => {
+      protectedTradeEngine = new TradeEngine({
+        baseCurrency: 'lsk',
+        quoteCurrency: 'clsk',
+        baseOrderHeightExpiry: 100,
+        quoteOrderHeightExpiry: 100,
+        priceDecimalPrecision: 5,
+        priceBandPercentage: 10,
+        circuitBreakerThreshold: 15,
+        circuitBreakerWindow: 5,
+        circuitBreakerPauseBlockCount: 3
+      });
+    });
+
+    it('Should use the mid-market price as the reference price and fall back to the last price', async () => {
+      assert.equal(protectedTradeEngine.getReferencePrice(), null);
+      protectedTradeEngine.addOrder(createOrder('order0', 'ask', .5, 100n, 1));
+      protectedTradeEngine.addOrder(createOrder('order1', 'bid', .5, 10n, 2));
+      assert.equal(protectedTradeEngine.lastPrice, .5);
+      assert.equal(protectedTradeEngine.getReferencePrice(), .5);
+      protectedTradeEngine.addOrder(createOrder('order2', 'bid', .48, 10n, 3));
+      assert.equal(protectedTradeEngine.getReferencePrice(), .49);
+    });
+
+    it('Should reject limit orders which are priced outside of the price band', async () => {
+      protectedTradeEngine.addOrder(createOrder('order0', 'ask', .5, 100n, 1));
+      protectedTradeEngine.addOrder(createOrder('order1', 'bid', .45, 10n, 2));
+
+      let result = protectedTradeEngine.addOrder(createOrder('order2', 'bid', .6, 10n, 3));
+      assert.equal(result.rejectReason, 'Price outside of price band');
+      assert.equal(result.makers.length, 0);
+      assert.equal(result.taker.valueRemaining, 10n);
+      assert.equal(protectedTradeEngine.getBids().length, 1);
+
+      result = protectedTradeEngine.addOrder(createOrder('order3', 'bid', .5, 10n, 4));
+      assert.equal(result.rejectReason, undefined);
+      assert.equal(result.makers.length, 1);
+
+      result = protectedTradeEngine.addOrder(createOrder('order4', 'ask', null, 10n, 5));
+      assert.equal(result.rejectReason, undefined);
+    });
+
+    it('Should not allow orders to be modified to a price outside of the price band', async () => {
+      protectedTradeEngine.addOrder(createOrder('order0', 'ask', .5, 100n, 1));
+      protectedTradeEngine.addOrder(createOrder('order1', 'bid', .45, 10n, 2));
+
+      assert.throws(() => {
+        protectedTradeEngine.addModifyOrder({
+          id: 'order2',
+          orderIdToModify: 'order1',
+          sourceChain: 'lsk',
+          height: 3,
+          price: .3
+        });
+      }, error => error.name === 'PriceBandError');
+      assert.equal(protectedTradeEngine.getOrder('order1').price, .45);
+    });
+
+    it('Should pause matching with an auction when the price moves too much within the window', async () => {
+      protectedTradeEngine.addOrder(createOrder('order0', 'ask', .5, 100n, 1));
+      protectedTradeEngine.addOrder(createOrder('order1', 'bid', .5, 10n, 2));
+      assert.equal(protectedTradeEngine.updateCircuitBreaker(2), false);
+
+      protectedTradeEngine.addOrder(createOrder('order2', 'ask', .54, 100n, 3));
+      protectedTradeEngine.addOrder(createOrder('order3', 'bid', .55, 200n, 3));
+      assert.equal(protectedTradeEngine.lastPrice, .54);
+      assert.equal(protectedTradeEngine.updateCircuitBreaker(3), false);
+
+      let trippedEvents = [];
+      protectedTradeEngine.on('circuitBreakerTripped', data => trippedEvents.push(data));
+      protectedTradeEngine.addOrder(createOrder('order4', 'ask', .59, 100n, 4));
+      protectedTradeEngine.addOrder(createOrder('order5', 'bid', .62, 200n, 4));
+      assert.equal(protectedTradeEngine.lastPrice, .59);
+      assert.equal(protectedTradeEngine.updateCircuitBreaker(4), true);
+
+      assert.equal(protectedTradeEngine.isAuctionInProgress(), true);
+      assert.equal(protectedTradeEngine.auctionEndHeight, 7);
+      assert.equal(trippedEvents.length, 1);
+      assert.equal(trippedEvents[0].lastPrice, .59);
+      assert.equal(trippedEvents[0].referencePrice, .5);
+      assert.equal(protectedTradeEngine.getSnapshot().circuitBreakerPrices.length, 0);
+    });
+
+    it('Should only compare the last price with prices which are within the window', async () => {
+      protectedTradeEngine.addOrder(createOrder('order0', 'ask', .5, 100n, 1));
+      protectedTradeEngine.addOrder(createOrder('order1', 'bid', .5, 10n, 2));
+      protectedTradeEngine.updateCircuitBreaker(2);
+
+      protectedTradeEngine.addOrder(createOrder('order2', 'ask', .54, 100n, 3));
+      protectedTradeEngine.addOrder(createOrder('order3', 'bid', .55, 200n, 3));
+      protectedTradeEngine.updateCircuitBreaker(5);
+
+      protectedTradeEngine.addOrder(createOrder('order4', 'ask', .59, 100n, 8));
+      protectedTradeEngine.addOrder(createOrder('order5', 'bid', .62, 200n, 8));
+      assert.equal(protectedTradeEngine.updateCircuitBreaker(8), false);
+      assert.equal(protectedTradeEngine.isAuctionInProgress(), false);
+
+      let snapshot = protectedTradeEngine.getSnapshot();
+      assert.deepEqual(snapshot.circuitBreakerPrices, [{height: 5, price: .54}, {height: 8, price: .59}]);
+      protectedTradeEngine.setSnapshot(snapshot);
+      assert.deepEqual(protectedTradeEngine.getSnapshot().circuitBreakerPrices, snapshot.circuitBreakerPrices);
+    });
+  });
+
+  describe('Wallet volumes', async () => {
+    let volumeTradeEngine;
+    beforeEach(async () => {
+      volumeTradeEngine = new TradeEngine({
+        baseCurrency: 'lsk',
+        quoteCurrency: 'clsk',
+        baseOrderHeightExpiry: 100,
+        quoteOrderHeightExpiry: 100,
+        priceDecimalPrecision: 5,
+        walletVolumeWindow: 10
+      });
+    });
+
+    it('Should track the base currency volume traded by the taker and the maker', async () => {
+      volumeTradeEngine.updateWalletVolumes(1);
+      volumeTradeEngine.addOrder(createOrder('order0', 'ask', .5, 100n, 1, '11111111111222222222L'));
+      volumeTradeEngine.addOrder(createOrder('order1', 'bid', .5, 20n, 1, '22222222211111111111L'));
+      volumeTradeEngine.updateWalletVolumes(2);
+      volumeTradeEngine.addOrder(createOrder('order2', 'bid', .5, 10n, 2, '22222222211111111111L'));
+      volumeTradeEngine.updateWalletVolumes(3);
+
+      assert.equal(volumeTradeEngine.getWalletVolume('11111111111222222222L'), 30n);
+      assert.equal(volumeTradeEngine.getWalletVolume('22222222211111111111L'), 30n);
+      assert.equal(volumeTradeEngine.getWalletVolume('33333333311111111111L'), 0n);
+    });
+
+    it('Should only count the volume which was traded in a block from the next block', async () => {
+      volumeTradeEngine.updateWalletVolumes(1);
+      volumeTradeEngine.addOrder(createOrder('order0', 'ask', .5, 100n, 1, '11111111111222222222L'));
+      volumeTradeEngine.addOrder(createOrder('order1', 'bid', .5, 20n, 1, '22222222211111111111L'));
+
+      assert.equal(volumeTradeEngine.getWalletVolume('22222222211111111111L'), 0n);
+      volumeTradeEngine.updateWalletVolumes(2);
+      assert.equal(volumeTradeEngine.getWalletVolume('22222222211111111111L'), 20n);
+    });
+
+    it('Should sum up the volume of each wallet over buckets of heights', async () => {
+      let bucketTradeEngine = new TradeEngine({
+        baseCurrency: 'lsk',
+        quoteCurrency: 'clsk',
+        baseOrderHeightExpiry: 100,
+        quoteOrderHeightExpiry: 100,
+        priceDecimalPrecision: 5,
+        walletVolumeWindow: 300
+      });
+      assert.equal(bucketTradeEngine.walletVolumeBucketSize, 10);
+      bucketTradeEngine.addOrder(createOrder('order0', 'ask', .5, 1000n, 1, '11111111111222222222L'));
+      for (let height = 11; height < 20; height++) {
+        bucketTradeEngine.updateWalletVolumes(height);
+        bucketTradeEngine.addOrder(createOrder(`order${height}`, 'bid', .5, 10n, height, '22222222211111111111L'));
+      }
+      bucketTradeEngine.updateWalletVolumes(20);
+
+      let snapshot = bucketTradeEngine.getSnapshot();
+      assert.deepEqual(snapshot.walletVolumes, [
+        {bucket: 1, walletAddress: '22222222211111111111L', volume: '90'},
+        {bucket: 1, walletAddress: '11111111111222222222L', volume: '90'}
+      ]);
+      bucketTradeEngine.updateWalletVolumes(318);
+      assert.equal(bucketTradeEngine.getWalletVolume('22222222211111111111L'), 90n);
+      bucketTradeEngine.updateWalletVolumes(319);
+      assert.equal(bucketTradeEngine.getWalletVolume('22222222211111111111L'), 0n);
+    });
+
+    it('Should stop counting volume which is older than the window', async () => {
+      volumeTradeEngine.updateWalletVolumes(1);
+      volumeTradeEngine.addOrder(createOrder('order0', 'ask', .5, 100n, 1, '11111111111222222222L'));
+      volumeTradeEngine.addOrder(createOrder('order1', 'bid', .5, 20n, 1, '22222222211111111111L'));
+      volumeTradeEngine.updateWalletVolumes(5);
+      volumeTradeEngine.addOrder(createOrder('order2', 'bid', .5, 10n, 5, '22222222211111111111L'));
+
+      volumeTradeEngine.updateWalletVolumes(11);
+      assert.equal(volumeTradeEngine.getWalletVolume('22222222211111111111L'), 10n);
+      volumeTradeEngine.updateWalletVolumes(15);
+      assert.equal(volumeTradeEngine.getWalletVolume('22222222211111111111L'), 0n);
+      assert.equal(volumeTradeEngine.getSnapshot().walletVolumes.length, 0);
+    });
+
+    it('Should include the wallet volumes in the snapshot', async () => {
+      volumeTradeEngine.updateWalletVolumes(3);
+      volumeTradeEngine.addOrder(createOrder('order0', 'ask', .5, 100n, 3, '11111111111222222222L'));
+      volumeTradeEngine.addOrder(createOrder('order1', 'bid', .5, 20n, 3, '22222222211111111111L'));
+
+      volumeTradeEngine.updateWalletVolumes(4);
+      volumeTradeEngine.addOrder(createOrder('order2', 'bid', .5, 10n, 4, '22222222211111111111L'));
+
+      let snapshot = volumeTradeEngine.getSnapshot();
+      assert.equal(snapshot.walletVolumeHeight, 4);
+      assert.equal(snapshot.walletVolumes.length, 2);
+      assert.equal(snapshot.walletVolumes[0].bucket, 3);
+      assert.equal(snapshot.walletVolumes[0].volume, '20');
+      assert.equal(snapshot.pendingWalletVolumes.length, 2);
+      assert.equal(snapshot.pendingWalletVolumes[0].volume, '10');
+
+      let restoredTradeEngine = new TradeEngine({
+        baseCurrency: 'lsk',
+        quoteCurrency: 'clsk',
+        baseOrderHeightExpiry: 100,
+        quoteOrderHeightExpiry: 100,
+        priceDecimalPrecision: 5,
+        walletVolumeWindow: 10
+      });
+      restoredTradeEngine.setSnapshot(snapshot);
+      assert.equal(restoredTradeEngine.getWalletVolume('11111111111222222222L'), 20n);
+      assert.equal(restoredTradeEngine.getWalletVolume('22222222211111111111L'), 20n);
+      restoredTradeEngine.updateWalletVolumes(5);
+      assert.equal(restoredTradeEngine.getWalletVolume('22222222211111111111L'), 30n);
+      restoredTradeEngine.updateWalletVolumes(13);
+      assert.equal(restoredTradeEngine.getWalletVolume('11111111111222222222L'), 10n);
+      restoredTradeEngine.updateWalletVolumes(14);
+      assert.equal(restoredTradeEngine.getWalletVolume('11111111111222222222L'), 0n);
+    });
+
+    it('Should restore the wallet volume entries of older snapshots', async () => {
+      volumeTradeEngine.setSnapshot({
+        askLimitOrders: [],
+        bidLimitOrders: [],
+        walletVolumeHeight: 4,
+        walletVolumes: [
+          {height: 3, walletAddress: '11111111111222222222L', volume: '20'},
+          {height: 4, walletAddress: '11111111111222222222L', volume: '10'}
+        ]
+      });
+      assert.equal(volumeTradeEngine.getWalletVolume('11111111111222222222L'), 30n);
+      volumeTradeEngine.updateWalletVolumes(13);
+      assert.equal(volumeTradeEngine.getWalletVolume('11111111111222222222L'), 10n);
+    });
+
+    it('Should not track volumes if the window is not set', async () => {
+      tradeEngine.addOrder(createOrder('order0', 'ask', .5, 100n, 1, '11111111111222222222L'));
+      tradeEngine.addOrder(createOrder('order1', 'bid', .5, 20n, 1, '22222222211111111111L'));
+      assert.equal(tradeEngine.getWalletVolume('11111111111222222222L'), 0n);
+      assert.equal(tradeEngine.getSnapshot().walletVolumes.length, 0);
+    });
+  });
+
+  describe('Referral credits', async () => {
+    it('Should keep the referrer address of orders which are added to the order book', async () => {
+      tradeEngine.addOrder({
+        id: 'order0',
+        type: 'limit',
+        price: .5,
+        sourceChain: 'clsk',
+        targetChain: 'lsk',
+        height: 1,
+        targetWalletAddress: '22245678912345678222L',
+        senderAddress: '11111111111222222222L',
+        sourceWalletAddress: '11111111111222222222L',
+        referrerAddress: '33333333311111111111L',
+        side: 'ask',
+        size: 100n
+      });
+      assert.equal(tradeEngine.getOrder('order0').referrerAddress, '33333333311111111111L');
+    });
+
+    it('Should accrue credits separately for each chain', async () => {
+      tradeEngine.addReferralCredit('lsk', '33333333311111111111L', 10n, 1);
+      tradeEngine.addReferralCredit('lsk', '33333333311111111111L', 5n, 2);
+      tradeEngine.addReferralCredit('clsk', '33333333311111111111L', 7n, 1);
+      assert.equal(tradeEngine.getReferralCredit('lsk', '33333333311111111111L'), 15n);
+      assert.equal(tradeEngine.getReferralCredit('clsk', '33333333311111111111L'), 7n);
+      assert.equal(tradeEngine.getReferralCredit('lsk', '44444444411111111111L'), 0n);
+    });
+
+    it('Should only take the credits which are greater than the min amount', async () => {
+      tradeEngine.addReferralCredit('lsk', '33333333311111111111L', 15n, 1);
+      tradeEngine.addReferralCredit('lsk', '44444444411111111111L', 10n, 1);
+      let referralCredits = tradeEngine.takeReferralCredits('lsk', 10, 10n);
+      assert.equal(referralCredits.length, 1);
+      assert.equal(referralCredits[0].walletAddress, '33333333311111111111L');
+      assert.equal(referralCredits[0].amount, 15n);
+      assert.equal(tradeEngine.getReferralCredit('lsk', '33333333311111111111L'), 0n);
+      assert.equal(tradeEngine.getReferralCredit('lsk', '44444444411111111111L'), 10n);
+      assert.equal(tradeEngine.takeReferralCredits('clsk', 10, 10n).length, 0);
+    });
+
+    it('Should only take the credits which were accrued up to the specified height', async () => {
+      tradeEngine.addReferralCredit('lsk', '33333333311111111111L', 8n, 3);
+      tradeEngine.addReferralCredit('lsk', '33333333311111111111L', 7n, 5);
+      tradeEngine.addReferralCredit('lsk', '33333333311111111111L', 20n, 11);
+      tradeEngine.addReferralCredit('lsk', '44444444411111111111L', 20n, 11);
+
+      let referralCredits = tradeEngine.takeReferralCredits('lsk', 10, 10n);
+      assert.deepEqual(referralCredits, [{walletAddress: '33333333311111111111L', amount: 15n}]);
+      assert.equal(tradeEngine.getReferralCredit('lsk', '33333333311111111111L'), 20n);
+      assert.equal(tradeEngine.getReferralCredit('lsk', '44444444411111111111L'), 20n);
+
+      referralCredits = tradeEngine.takeReferralCredits('lsk', 20, 10n);
+      assert.deepEqual(referralCredits, [
+        {walletAddress: '33333333311111111111L', amount: 20n},
+        {walletAddress: '44444444411111111111L', amount: 20n}
+      ]);
+      assert.equal(tradeEngine.getReferralCredit('lsk', '33333333311111111111L'), 0n);
+    });
+
+    it('Should include the referral credits in the snapshot', async () => {
+      tradeEngine.addReferralCredit('lsk', '33333333311111111111L', 15n, 7);
+      let snapshot = tradeEngine.getSnapshot();
+      assert.deepEqual(snapshot.referralCredits.lsk, [{walletAddress: '33333333311111111111L', height: 7, amount: '15'}]);
+
+      let restoredTradeEngine = new TradeEngine({
+        baseCurrency: 'lsk',
+        quoteCurrency: 'clsk',
+        baseOrderHeightExpiry: 100,
+        quoteOrderHeightExpiry: 100
+      });
+      restoredTradeEngine.setSnapshot(snapshot);
+      assert.equal(restoredTradeEngine.getReferralCredit('lsk', '33333333311111111111L'), 15n);
+      assert.equal(restoredTradeEngine.takeReferralCredits('lsk', 6, 10n).length, 0);
+      restoredTradeEngine.clear();
+      assert.equal(restoredTradeEngine.getReferralCredit('lsk', '33333333311111111111L'), 0n);
+    });
+  });
 });
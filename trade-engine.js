@@ -1,12 +1,19 @@
-const BigOrderBook = require('big-order-book');
-const crypto = require('crypto');
-const { mapListFields } = require('./utils');
+const EventEmitter = require('events');
+const ProperSkipList = require('proper-skip-list');
+const MatchingEngine = require('./matching-engine');
+const { mapListFields, allocateProRata, hashMerkleLeaf, computeMerkleRoot, computeMerkleProof } = require('./utils');
 
-const EMPTY_ORDER_BOOK_HASH = '0000000000000000000000000000000000000000';
+const SELF_TRADE_PREVENTION_POLICIES = ['cancelNewest', 'cancelOldest', 'skipMaker'];
+// Version 1 snapshots did not include the lastProcessedHeightsInfo.
+const SNAPSHOT_VERSION = 2;
+const WALLET_VOLUME_BUCKET_COUNT = 30;
+const MATCHING_MODES = ['continuous', 'batch'];
+const PRICE_LEVEL_ALLOCATIONS = ['fifo', 'proRata'];
 const emptyGenerator = function * () {};
 
-class TradeEngine {
+class TradeEngine extends EventEmitter {
   constructor(options) {
+    super();
     this.baseCurrency = options.baseCurrency;
     this.quoteCurrency = options.quoteCurrency;
     this.baseOrderHeightExpiry = options.baseOrderHeightExpiry;
@@ -14,24 +21,143 @@ class TradeEngine {
     this.baseMinPartialTake = options.baseMinPartialTake;
     this.quoteMinPartialTake = options.quoteMinPartialTake;
     this.market = `${this.quoteCurrency}/${this.baseCurrency}`;
-    this.orderBook = new BigOrderBook({
+    this.priceDecimalPrecision = options.priceDecimalPrecision == null ? 4 : options.priceDecimalPrecision;
+    this.pricePrecisionFactor = 10 ** this.priceDecimalPrecision;
+    this.selfTradePrevention = options.selfTradePrevention || null;
+    if (this.selfTradePrevention && !SELF_TRADE_PREVENTION_POLICIES.includes(this.selfTradePrevention)) {
+      throw new Error(
+        `The selfTradePrevention option ${
+          this.selfTradePrevention
+        } was invalid; it should be one of: ${SELF_TRADE_PREVENTION_POLICIES.join(', ')}`
+      );
+    }
+    this.matchingMode = options.matchingMode || 'continuous';
+    if (!MATCHING_MODES.includes(this.matchingMode)) {
+      throw new Error(
+        `The matchingMode option ${
+          this.matchingMode
+        } was invalid; it should be one of: ${MATCHING_MODES.join(', ')}`
+      );
+    }
+    this.priceLevelAllocation = options.priceLevelAllocation || 'fifo';
+    if (!PRICE_LEVEL_ALLOCATIONS.includes(this.priceLevelAllocation)) {
+      throw new Error(
+        `The priceLevelAllocation option ${
+          this.priceLevelAllocation
+        } was invalid; it should be one of: ${PRICE_LEVEL_ALLOCATIONS.join(', ')}`
+      );
+    }
+    // Percentages; price bands and the circuit breaker are disabled if null.
+    this.priceBandPercentage = options.priceBandPercentage == null ? null : options.priceBandPercentage;
+    this.circuitBreakerThreshold = options.circuitBreakerThreshold == null ? null : options.circuitBreakerThreshold;
+    this.circuitBreakerWindow = options.circuitBreakerWindow || 1;
+    this.circuitBreakerPauseBlockCount = options.circuitBreakerPauseBlockCount || 1;
+    if (this.priceBandPercentage != null && !(this.priceBandPercentage > 0)) {
+      throw new Error('The priceBandPercentage option must be greater than 0');
+    }
+    if (this.circuitBreakerThreshold != null && !(this.circuitBreakerThreshold > 0)) {
+      throw new Error('The circuitBreakerThreshold option must be greater than 0');
+    }
+    // The number of base chain blocks over which the traded volume of each wallet is tracked; disabled if null.
+    this.walletVolumeWindow = options.walletVolumeWindow == null ? null : options.walletVolumeWindow;
+    // Volumes are summed up per wallet over buckets of heights so that their size does not grow with the number of trades.
+    this.walletVolumeBucketSize = this.walletVolumeWindow == null ?
+      null : Math.max(Math.ceil(this.walletVolumeWindow / WALLET_VOLUME_BUCKET_COUNT), 1);
+    let MatchingEngineClass = options.matchingEngineClass || MatchingEngine;
+    this.orderBook = new MatchingEngineClass({
       minPartialTakeValue: this.baseMinPartialTake,
       minPartialTakeSize: this.quoteMinPartialTake,
-      priceDecimalPrecision: options.priceDecimalPrecision
+      priceDecimalPrecision: options.priceDecimalPrecision,
+      priceLevelAllocation: this.priceLevelAllocation
     });
 
     this._askMap = new Map();
     this._bidMap = new Map();
     this._orderMap = new Map();
     this._sourceWalletOrderMap = new Map();
+    this._triggerOrderMap = new Map();
+    this._auctionOrderMap = new Map();
+    this._stateTree = null;
+    this._askExpiryIndex = new ProperSkipList();
+    this._bidExpiryIndex = new ProperSkipList();
+    this._timestampExpiryIndex = new ProperSkipList();
 
-    this.orderBookHash = EMPTY_ORDER_BOOK_HASH;
+    this.lastPrice = null;
+    this.auctionEndHeight = null;
+    this._circuitBreakerPrices = [];
+    this._walletVolumeHeight = 0;
+    this._walletVolumeBuckets = [];
+    this._pendingWalletVolumeMap = new Map();
+    this._walletVolumeMap = new Map();
+    this._referralCredits = {};
 
     this._resetProcessedHeightsInfo();
   }
 
-  _sha1(string) {
-    return crypto.createHash('sha1').update(string).digest('hex');
+  // The order book hash is the Merkle root of all the orders which are held by the engine
+  // including their remaining amounts.
+  get orderBookHash() {
+    return this._getStateTree().root;
+  }
+
+  getOrderProof(orderId) {
+    let {stateLeaves, leafHashes, root} = this._getStateTree();
+    let leafIndex = stateLeaves.findIndex(stateLeaf => stateLeaf.orderId === orderId);
+    if (leafIndex === -1) {
+      return null;
+    }
+    return {
+      orderBookHash: root,
+      leaf: stateLeaves[leafIndex].leaf,
+      leafHash: leafHashes[leafIndex],
+      leafIndex,
+      proof: computeMerkleProof(leafHashes, leafIndex)
+    };
+  }
+
+  // The tree is cached until any of the orders which it covers is changed.
+  _getStateTree() {
+    if (!this._stateTree) {
+      let stateLeaves = this._getStateLeaves();
+      let leafHashes = stateLeaves.map(({leaf}) => hashMerkleLeaf(leaf));
+      this._stateTree = {stateLeaves, leafHashes, root: computeMerkleRoot(leafHashes)};
+    }
+    return this._stateTree;
+  }
+
+  _invalidateStateTree() {
+    this._stateTree = null;
+  }
+
+  // Orders in the order book are listed in price-time priority, followed by trigger orders and auction orders.
+  _getStateLeaves() {
+    let stateLeaves = [];
+    let addLeaf = (status, order, price) => {
+      let remaining = order.side === 'ask' ? order.sizeRemaining : order.valueRemaining;
+      let leaf = [
+        status,
+        order.id,
+        order.side,
+        price == null ? '' : price,
+        remaining,
+        order.sourceWalletAddress == null ? '' : order.sourceWalletAddress,
+        order.targetWalletAddress == null ? '' : order.targetWalletAddress
+      ].join(',');
+      stateLeaves.push({orderId: order.id, leaf});
+    };
+    for (let order of this.getAskIteratorFromMin()) {
+      addLeaf('book', order, order.price);
+    }
+    for (let order of this.getBidIteratorFromMax()) {
+      addLeaf('book', order, order.price);
+    }
+    for (let order of this.getTriggerOrderIterator()) {
+      addLeaf('trigger', order, order.triggerPrice);
+    }
+    for (let order of this.getAuctionOrderIterator()) {
+      addLeaf('auction', order, order.price);
+    }
+    return stateLeaves;
   }
 
   _resetProcessedHeightsInfo() {
@@ -64,33 +190,75 @@ class TradeEngine {
   }
 
   expireBidOrders(heightThreshold) {
+    return this._expireOrders(this._bidExpiryIndex, heightThreshold);
+  }
+
+  expireAskOrders(heightThreshold) {
+    return this._expireOrders(this._askExpiryIndex, heightThreshold);
+  }
+
+  expireOrdersByTimestamp(timestampThreshold) {
+    return this._expireOrders(this._timestampExpiryIndex, timestampThreshold);
+  }
+
+  _expireOrders(expiryIndex, threshold) {
     let expiredOrders = [];
-    for (let [orderId, order] of this._bidMap) {
-      if (order.expiryHeight > heightThreshold) {
+    for (let [expiryKey, expiryOrderMap] of expiryIndex.findEntriesFromMin()) {
+      if (expiryKey > threshold) {
         break;
       }
-      expiredOrders.push(order);
-      this._removeFromOrderBook(orderId);
-      this._bidMap.delete(orderId);
-      this._orderMap.delete(orderId);
-      this._removeFromWalletOrderMap(order.sourceWalletAddress, orderId);
+      for (let order of expiryOrderMap.values()) {
+        expiredOrders.push(order);
+      }
+    }
+    for (let order of expiredOrders) {
+      if (this._isHeldOrder(order.id)) {
+        this._removeHeldOrder(order);
+      } else {
+        this._removeRestingOrder(order);
+      }
+      this.emit('orderExpired', {order: {...order}});
     }
     return expiredOrders.sort((a, b) => this._orderComparator(a, b));
   }
 
-  expireAskOrders(heightThreshold) {
-    let expiredOrders = [];
-    for (let [orderId, order] of this._askMap) {
-      if (order.expiryHeight > heightThreshold) {
-        break;
+  // Orders can have custom expiry heights so the expiry index is sorted by height instead of relying on insertion order.
+  _addToExpiryIndex(order) {
+    let heightExpiryIndex = order.side === 'ask' ? this._askExpiryIndex : this._bidExpiryIndex;
+    this._addToIndex(heightExpiryIndex, order.expiryHeight, order);
+    if (order.expiryTimestamp != null) {
+      this._addToIndex(this._timestampExpiryIndex, order.expiryTimestamp, order);
+    }
+  }
+
+  _removeFromExpiryIndex(order) {
+    let heightExpiryIndex = order.side === 'ask' ? this._askExpiryIndex : this._bidExpiryIndex;
+    let result = this._removeFromIndex(heightExpiryIndex, order.expiryHeight, order);
+    if (order.expiryTimestamp != null) {
+      this._removeFromIndex(this._timestampExpiryIndex, order.expiryTimestamp, order);
+    }
+    return result;
+  }
+
+  _addToIndex(index, key, order) {
+    let orderMap = index.find(key);
+    if (!orderMap) {
+      orderMap = new Map();
+      index.upsert(key, orderMap);
+    }
+    orderMap.set(order.id, order);
+  }
+
+  _removeFromIndex(index, key, order) {
+    let orderMap = index.find(key);
+    if (orderMap) {
+      let result = orderMap.delete(order.id);
+      if (!orderMap.size) {
+        index.delete(key);
       }
-      expiredOrders.push(order);
-      this._removeFromOrderBook(orderId);
-      this._askMap.delete(orderId);
-      this._orderMap.delete(orderId);
-      this._removeFromWalletOrderMap(order.sourceWalletAddress, orderId);
+      return result;
     }
-    return expiredOrders.sort((a, b) => this._orderComparator(a, b));
+    return false;
   }
 
   wasOrderProcessed(orderId, orderSourceChain, orderHeight) {
@@ -130,10 +298,881 @@ class TradeEngine {
     }
   }
 
+  prepareOrder(order) {
+    this.trackProcessedOrder(order);
+
+    let existingOrder = this.orderBook.has(order.id) || this._isHeldOrder(order.id);
+
+    if (existingOrder) {
+      let error = new Error(`An order with ID ${order.id} already exists`);
+      error.name = 'DuplicateOrderError';
+      throw error;
+    }
+
+    return this._createOrder(order);
+  }
+
   addOrder(order) {
+    let newOrder = this.prepareOrder(order);
+
+    if (this.matchingMode === 'batch') {
+      return this.matchOrderBatch([newOrder])[0];
+    }
+
+    if (newOrder.postOnly && this._wouldTakeLiquidity(newOrder)) {
+      return this._rejectOrder(newOrder, 'Post-only order would take liquidity');
+    }
+
+    return this._matchOrder(newOrder);
+  }
+
+  _matchOrder(newOrder) {
+    if (!this._isWithinPriceBand(newOrder, this.getReferencePrice())) {
+      return this._rejectOrder(newOrder, 'Price outside of price band');
+    }
+
+    let selfTradeMakers = this._findSelfTradeMakers(newOrder);
+    let cancelledMakers = [];
+    let skippedMakerInfos = [];
+
+    if (selfTradeMakers.length) {
+      if (this.selfTradePrevention === 'cancelNewest') {
+        return this._rejectOrder(newOrder, 'Self-trade prevented');
+      }
+      if (this.selfTradePrevention === 'cancelOldest') {
+        for (let makerOrder of selfTradeMakers) {
+          this._removeRestingOrder(makerOrder);
+          this._emitOrderClosed(makerOrder);
+        }
+        cancelledMakers = selfTradeMakers;
+      } else {
+        skippedMakerInfos = selfTradeMakers.map(makerOrder => this.orderBook.detach(makerOrder.id));
+      }
+    }
+
+    let result;
+    if (newOrder.timeInForce === 'fok' && !this._canFillOrder(newOrder)) {
+      result = this._rejectOrder(newOrder, 'Fill or kill order could not be filled');
+    } else {
+      // The remaining part of the order would cross the skipped makers so it cannot rest in the order book.
+      result = this._addOrder(newOrder, !skippedMakerInfos.length);
+      let orderRemaining = newOrder.side === 'ask' ? result.taker.sizeRemaining : result.taker.valueRemaining;
+      if (skippedMakerInfos.length && newOrder.type !== 'market' && !newOrder.timeInForce && orderRemaining > 0n) {
+        result.remainderCancelReason = 'Self-trade prevented';
+      }
+    }
+
+    // Makers are restored in reverse order so that each one can be placed in front of the order which followed it.
+    for (let i = skippedMakerInfos.length - 1; i >= 0; i--) {
+      this.orderBook.restore(skippedMakerInfos[i]);
+      this._invalidateStateTree();
+    }
+    if (cancelledMakers.length) {
+      result.cancelledMakers = cancelledMakers;
+    }
+    return result;
+  }
+
+  _isSelfTrade(takerOrder, makerOrder) {
+    let takerAddresses = [takerOrder.sourceWalletAddress, takerOrder.targetWalletAddress];
+    return (
+      (makerOrder.sourceWalletAddress != null && takerAddresses.includes(makerOrder.sourceWalletAddress)) ||
+      (makerOrder.targetWalletAddress != null && makerOrder.targetWalletAddress === takerOrder.sourceWalletAddress)
+    );
+  }
+
+  // Simulates the matching of the order to find the makers from the same account which it would reach.
+  _findSelfTradeMakers(order) {
+    let selfTradeMakers = [];
+    if (!this.selfTradePrevention || order.postOnly) {
+      return selfTradeMakers;
+    }
+    if (order.side === 'ask') {
+      let sizeRemaining = BigInt(order.size);
+      for (let bid of this.getBidIteratorFromMax()) {
+        if (sizeRemaining <= 0n || (order.price != null && bid.price < order.price)) {
+          break;
+        }
+        if (this._isSelfTrade(order, bid)) {
+          selfTradeMakers.push(bid);
+          continue;
+        }
+        if (this._convertSizeToValue(sizeRemaining, bid.price) >= bid.valueRemaining) {
+          sizeRemaining -= this._convertValueToSize(bid.valueRemaining, bid.price);
+        } else {
+          sizeRemaining = 0n;
+        }
+      }
+      return selfTradeMakers;
+    }
+    let valueRemaining = BigInt(order.value);
+    for (let ask of this.getAskIteratorFromMin()) {
+      if (valueRemaining <= 0n || (order.price != null && ask.price > order.price)) {
+        break;
+      }
+      if (this._isSelfTrade(order, ask)) {
+        selfTradeMakers.push(ask);
+        continue;
+      }
+      if (this._convertValueToSize(valueRemaining, ask.price) >= ask.sizeRemaining) {
+        valueRemaining -= this._convertSizeToValue(ask.sizeRemaining, ask.price);
+      } else {
+        valueRemaining = 0n;
+      }
+    }
+    return selfTradeMakers;
+  }
+
+  _removeRestingOrder(order) {
+    this._removeFromOrderBook(order.id);
+    if (order.side === 'ask') {
+      this._askMap.delete(order.id);
+    } else {
+      this._bidMap.delete(order.id);
+    }
+    this._orderMap.delete(order.id);
+    this._removeFromWalletOrderMap(order.sourceWalletAddress, order.id);
+    this._removeFromExpiryIndex(order);
+  }
+
+  _convertSizeToValue(size, price) {
+    return size * BigInt(Math.round(price * this.pricePrecisionFactor)) / BigInt(this.pricePrecisionFactor);
+  }
+
+  _convertValueToSize(value, price) {
+    return value * BigInt(this.pricePrecisionFactor) / BigInt(Math.round(price * this.pricePrecisionFactor));
+  }
+
+  _wouldTakeLiquidity(order) {
+    if (order.type === 'market') {
+      return true;
+    }
+    if (order.side === 'ask') {
+      let highestBid = this.peekBids();
+      return !!highestBid && order.price <= highestBid.price;
+    }
+    let lowestAsk = this.peekAsks();
+    return !!lowestAsk && order.price >= lowestAsk.price;
+  }
+
+  // Matching is simulated in the same way as in the order book so that a remainder which is smaller than the
+  // minimum partial take (and would be dropped) does not count towards filling the order. With proRata allocation,
+  // a level with more than one maker is shared between them without applying the minimum partial take.
+  _canFillOrder(order) {
+    let isAsk = order.side === 'ask';
+    let remaining;
+    let minPartialTake;
+    if (isAsk) {
+      remaining = order.sizeRemaining == null ? BigInt(order.size) : order.sizeRemaining;
+      minPartialTake = BigInt(this.baseMinPartialTake || 0);
+    } else {
+      remaining = order.valueRemaining == null ? BigInt(order.value) : order.valueRemaining;
+      minPartialTake = BigInt(this.quoteMinPartialTake || 0);
+    }
+    let makerIterator = isAsk ? this.getBidIteratorFromMax() : this.getAskIteratorFromMin();
+    let nextMaker = makerIterator.next();
+    while (!nextMaker.done && remaining > 0n) {
+      let price = nextMaker.value.price;
+      if (order.price != null && (isAsk ? price < order.price : price > order.price)) {
+        break;
+      }
+      let levelMakers = [];
+      while (!nextMaker.done && nextMaker.value.price === price) {
+        levelMakers.push(nextMaker.value);
+        nextMaker = makerIterator.next();
+      }
+      let levelStartRemaining = remaining;
+      for (let maker of levelMakers) {
+        if (remaining <= 0n) {
+          return true;
+        }
+        let partialTake;
+        if (isAsk) {
+          partialTake = this._convertSizeToValue(remaining, price);
+          if (partialTake >= maker.valueRemaining) {
+            remaining -= this._convertValueToSize(maker.valueRemaining, price);
+            continue;
+          }
+        } else {
+          partialTake = this._convertValueToSize(remaining, price);
+          if (partialTake >= maker.sizeRemaining) {
+            remaining -= this._convertSizeToValue(maker.sizeRemaining, price);
+            continue;
+          }
+        }
+        if (this.priceLevelAllocation === 'proRata' && levelMakers.length > 1) {
+          let levelStartAmount = isAsk ?
+            this._convertSizeToValue(levelStartRemaining, price) :
+            this._convertValueToSize(levelStartRemaining, price);
+          if (levelStartAmount > 0n) {
+            return true;
+          }
+        }
+        return partialTake >= minPartialTake;
+      }
+    }
+    return remaining <= 0n;
+  }
+
+  // A rejected order does not touch the order book; the whole amount is left for the caller to refund.
+  _rejectOrder(order, reason) {
+    let taker = {...order, lastSizeTaken: 0n, lastValueTaken: 0n};
+    if (taker.side === 'ask') {
+      taker.sizeRemaining = taker.sizeRemaining == null ? BigInt(taker.size) : taker.sizeRemaining;
+    } else {
+      taker.valueRemaining = taker.valueRemaining == null ? BigInt(taker.value) : taker.valueRemaining;
+    }
+    return {
+      taker,
+      makers: [],
+      takeSize: 0n,
+      takeValue: 0n,
+      rejectReason: reason
+    };
+  }
+
+  // Should be called before the orders of each block are processed; the volume which was traded in the previous
+  // block starts to count and buckets whose heights are all more than walletVolumeWindow base chain blocks ago
+  // no longer count.
+  updateWalletVolumes(baseChainHeight) {
+    if (this.walletVolumeWindow == null) {
+      return;
+    }
+    let bucket = Math.floor(this._walletVolumeHeight / this.walletVolumeBucketSize);
+    for (let [walletAddress, volume] of this._pendingWalletVolumeMap) {
+      this._addBucketWalletVolume(bucket, walletAddress, volume);
+    }
+    this._pendingWalletVolumeMap.clear();
+
+    this._walletVolumeHeight = baseChainHeight;
+    let minHeight = baseChainHeight - this.walletVolumeWindow;
+    let expiredCount = 0;
+    for (let {bucket, volumes} of this._walletVolumeBuckets) {
+      if ((bucket + 1) * this.walletVolumeBucketSize - 1 > minHeight) {
+        break;
+      }
+      for (let [walletAddress, volume] of volumes) {
+        let walletVolume = this._walletVolumeMap.get(walletAddress) - volume;
+        if (walletVolume > 0n) {
+          this._walletVolumeMap.set(walletAddress, walletVolume);
+        } else {
+          this._walletVolumeMap.delete(walletAddress);
+        }
+      }
+      expiredCount++;
+    }
+    if (expiredCount) {
+      this._walletVolumeBuckets.splice(0, expiredCount);
+    }
+  }
+
+  // Volume is measured in the base currency. The volume which is traded in the current block is not included
+  // so that the fee of a trade does not depend on the trade itself.
+  getWalletVolume(walletAddress) {
+    return this._walletVolumeMap.get(walletAddress) || 0n;
+  }
+
+  _addWalletVolume(walletAddress, volume) {
+    if (this.walletVolumeWindow == null || walletAddress == null || !volume) {
+      return;
+    }
+    this._pendingWalletVolumeMap.set(walletAddress, (this._pendingWalletVolumeMap.get(walletAddress) || 0n) + volume);
+  }
+
+  // Buckets must be added in ascending order.
+  _addBucketWalletVolume(bucket, walletAddress, volume) {
+    let lastBucket = this._walletVolumeBuckets[this._walletVolumeBuckets.length - 1];
+    if (!lastBucket || lastBucket.bucket !== bucket) {
+      lastBucket = {bucket, volumes: new Map()};
+      this._walletVolumeBuckets.push(lastBucket);
+    }
+    lastBucket.volumes.set(walletAddress, (lastBucket.volumes.get(walletAddress) || 0n) + volume);
+    this._walletVolumeMap.set(walletAddress, this.getWalletVolume(walletAddress) + volume);
+  }
+
+  // Referral credits are accrued separately for each chain in the smallest unit of that chain's currency.
+  // The height is the height of that chain at which the credit was accrued; it must not decrease.
+  addReferralCredit(chainSymbol, walletAddress, amount, height) {
+    if (!this._referralCredits[chainSymbol]) {
+      this._referralCredits[chainSymbol] = new Map();
+    }
+    let chainCredits = this._referralCredits[chainSymbol];
+    let creditEntries = chainCredits.get(walletAddress);
+    if (!creditEntries) {
+      creditEntries = [];
+      chainCredits.set(walletAddress, creditEntries);
+    }
+    let lastEntry = creditEntries[creditEntries.length - 1];
+    if (lastEntry && lastEntry.height === height) {
+      lastEntry.amount += amount;
+    } else {
+      creditEntries.push({height, amount});
+    }
+  }
+
+  getReferralCredit(chainSymbol, walletAddress) {
+    let chainCredits = this._referralCredits[chainSymbol];
+    let creditEntries = (chainCredits && chainCredits.get(walletAddress)) || [];
+    return creditEntries.reduce((total, entry) => total + entry.amount, 0n);
+  }
+
+  // Removes and returns the credits on the chain which were accrued up to toHeight and which add up to more than
+  // minAmount for their wallet; the others are kept.
+  takeReferralCredits(chainSymbol, toHeight, minAmount) {
+    let chainCredits = this._referralCredits[chainSymbol];
+    if (!chainCredits) {
+      return [];
+    }
+    let referralCredits = [];
+    let takenEntryCounts = new Map();
+    for (let [walletAddress, creditEntries] of chainCredits) {
+      let amount = 0n;
+      let entryCount = 0;
+      for (let entry of creditEntries) {
+        if (entry.height > toHeight) {
+          break;
+        }
+        amount += entry.amount;
+        entryCount++;
+      }
+      if (amount > minAmount) {
+        referralCredits.push({walletAddress, amount});
+        takenEntryCounts.set(walletAddress, entryCount);
+      }
+    }
+    for (let [walletAddress, entryCount] of takenEntryCounts) {
+      let creditEntries = chainCredits.get(walletAddress);
+      if (entryCount === creditEntries.length) {
+        chainCredits.delete(walletAddress);
+      } else {
+        creditEntries.splice(0, entryCount);
+      }
+    }
+    return referralCredits;
+  }
+
+  // The mid-market price if there are orders on both sides of the order book, otherwise the last traded price.
+  getReferencePrice() {
+    let highestBid = this.peekBids();
+    let lowestAsk = this.peekAsks();
+    if (highestBid && lowestAsk) {
+      return (highestBid.price + lowestAsk.price) / 2;
+    }
+    return this.lastPrice;
+  }
+
+  _isWithinPriceBand(order, referencePrice) {
+    if (this.priceBandPercentage == null || order.price == null || referencePrice == null) {
+      return true;
+    }
+    return this._isPriceWithinPercentage(order.price, referencePrice, this.priceBandPercentage);
+  }
+
+  // Prices are compared in units of half the smallest price increment (since a mid-market price can fall between
+  // two increments) to avoid floating point rounding errors at the edge of the range.
+  _isPriceWithinPercentage(price, referencePrice, percentage) {
+    let halfUnitFactor = this.pricePrecisionFactor * 2;
+    let priceDistance = Math.round(Math.abs(price - referencePrice) * halfUnitFactor);
+    let maxPriceDistance = Math.floor(referencePrice * halfUnitFactor * percentage / 100 + 1e-6);
+    return priceDistance <= maxPriceDistance;
+  }
+
+  // Should be called once all the orders of a block have been processed. If the last price moved by more than
+  // the threshold compared to any price within the window, matching is paused by holding new orders in an auction
+  // which ends after circuitBreakerPauseBlockCount base chain blocks. Returns true if the circuit breaker tripped.
+  updateCircuitBreaker(baseChainHeight) {
+    if (this.circuitBreakerThreshold == null || this.lastPrice == null || this.isAuctionInProgress()) {
+      return false;
+    }
+    let minHeight = baseChainHeight - this.circuitBreakerWindow;
+    this._circuitBreakerPrices = this._circuitBreakerPrices.filter(
+      entry => entry.height > minHeight && entry.height < baseChainHeight
+    );
+    let referencePrice = this._circuitBreakerPrices
+      .map(entry => entry.price)
+      .find(price => !this._isPriceWithinPercentage(this.lastPrice, price, this.circuitBreakerThreshold));
+
+    if (referencePrice != null) {
+      this._circuitBreakerPrices = [];
+      this.startAuction(baseChainHeight + this.circuitBreakerPauseBlockCount);
+      this.emit('circuitBreakerTripped', {
+        lastPrice: this.lastPrice,
+        referencePrice,
+        auctionEndHeight: this.auctionEndHeight
+      });
+      return true;
+    }
+    this._circuitBreakerPrices.push({height: baseChainHeight, price: this.lastPrice});
+    return false;
+  }
+
+  startAuction(endHeight) {
+    this.auctionEndHeight = endHeight;
+  }
+
+  isAuctionInProgress() {
+    return this.auctionEndHeight != null;
+  }
+
+  // While an auction is in progress, new orders are held without being matched until the auction ends.
+  addAuctionOrder(order) {
+    let newOrder = this.prepareOrder(order);
+    this._addToAuction(newOrder);
+    return newOrder;
+  }
+
+  _addToAuction(order) {
+    if (order.side === 'ask') {
+      order.sizeRemaining = order.sizeRemaining == null ? BigInt(order.size) : order.sizeRemaining;
+    } else {
+      order.valueRemaining = order.valueRemaining == null ? BigInt(order.value) : order.valueRemaining;
+    }
+    this._auctionOrderMap.set(order.id, order);
+    this._invalidateStateTree();
+    this._addToExpiryIndex(order);
+    this.emit('orderAdded', {order: {...order}});
+  }
+
+  // All the orders which were collected during the auction are matched at a single price.
+  endAuction() {
+    let auctionOrders = [...this._auctionOrderMap.values()];
+    for (let order of auctionOrders) {
+      this._removeHeldOrder(order);
+    }
+    this.auctionEndHeight = null;
+    return this.matchOrderBatch(auctionOrders);
+  }
+
+  // Matches the orders against each other and against the order book as a single batch auction; all the trades
+  // are made at the same clearing price so the sequence of the orders within the batch does not matter.
+  matchOrderBatch(newOrders) {
+    let results = new Map();
+    let auctionOrders = [];
+    // The reference price is taken before any of the orders is added so that it is the same for all of them.
+    let referencePrice = this.getReferencePrice();
+    for (let newOrder of newOrders) {
+      if (!this._isWithinPriceBand(newOrder, referencePrice)) {
+        results.set(newOrder.id, this._rejectOrder(newOrder, 'Price outside of price band'));
+        continue;
+      }
+      if (newOrder.postOnly) {
+        if (this._wouldTakeLiquidity(newOrder)) {
+          results.set(newOrder.id, this._rejectOrder(newOrder, 'Post-only order would take liquidity'));
+        } else {
+          results.set(newOrder.id, this._addOrder(newOrder));
+        }
+        continue;
+      }
+      if (newOrder.price != null) {
+        newOrder.price = Math.round(newOrder.price * this.pricePrecisionFactor) / this.pricePrecisionFactor;
+      }
+      if (newOrder.side === 'ask') {
+        newOrder.sizeRemaining = newOrder.sizeRemaining == null ? BigInt(newOrder.size) : newOrder.sizeRemaining;
+      } else {
+        newOrder.valueRemaining = newOrder.valueRemaining == null ? BigInt(newOrder.value) : newOrder.valueRemaining;
+      }
+      auctionOrders.push(newOrder);
+    }
+
+    let selfTrades = this._preventBatchSelfTrades(auctionOrders, results);
+    auctionOrders = auctionOrders.filter(order => !results.has(order.id));
+
+    // A fill-or-kill order which the auction would not fill completely is rejected and the auction is computed
+    // again without it so that it never gets a partial fill.
+    let auction = this._computeAuction(auctionOrders, selfTrades.skippedMakerIds);
+    let unfilledOrders = this._getUnfilledFillOrKillOrders(auctionOrders, auction);
+    while (unfilledOrders.length) {
+      for (let order of unfilledOrders) {
+        results.set(order.id, this._rejectOrder(order, 'Fill or kill order could not be filled'));
+      }
+      auctionOrders = auctionOrders.filter(order => !results.has(order.id));
+      auction = this._computeAuction(auctionOrders, selfTrades.skippedMakerIds);
+      unfilledOrders = this._getUnfilledFillOrKillOrders(auctionOrders, auction);
+    }
+
+    let auctionResults = new Map();
+    for (let order of auctionOrders) {
+      auctionResults.set(order.id, {taker: null, makers: [], takeSize: 0n, takeValue: 0n});
+    }
+    if (auction) {
+      this._applyAuction(auction, auctionResults);
+    }
+
+    // Whatever is left of each order is not matched again; it is added to the order book or cancelled according
+    // to its type and time in force.
+    for (let newOrder of auctionOrders) {
+      let result = auctionResults.get(newOrder.id);
+      if (this._getOrderRemaining(newOrder) > 0n && newOrder.type !== 'market' && !newOrder.timeInForce) {
+        // Since bids are denominated in the base currency, part of an order can be left over at a price
+        // which still crosses pending orders which did not take part in the auction at the clearing price.
+        if (this._wouldTakeLiquidity(newOrder)) {
+          result.remainderCancelReason = selfTrades.skippingOrderIds.has(newOrder.id) ?
+            'Self-trade prevented' : 'Crosses the order book after the auction';
+        } else {
+          this._addRestingOrder(newOrder);
+        }
+      }
+      result.taker = {...newOrder, lastSizeTaken: 0n, lastValueTaken: 0n};
+      results.set(newOrder.id, result);
+    }
+    // The makers stay closed even if the order which cancelled them was rejected later on.
+    for (let [orderId, cancelledMakers] of selfTrades.cancelledMakers) {
+      results.get(orderId).cancelledMakers = cancelledMakers;
+    }
+
+    let batchResults = newOrders.map(newOrder => results.get(newOrder.id));
+    // A crossed resting order can only be a taker if the order book was crossed before the auction.
+    for (let [orderId, result] of auctionResults) {
+      if (!results.has(orderId)) {
+        batchResults.push(result);
+      }
+    }
+    return batchResults;
+  }
+
+  // All the orders of a batch trade at the same time so self-trades are prevented before the auction; an earlier
+  // order of the batch from the same account which the order would cross is handled like a pending order, except
+  // that it cannot be skipped since the auction does not match orders one by one.
+  _preventBatchSelfTrades(auctionOrders, results) {
+    let selfTrades = {cancelledMakers: new Map(), skippedMakerIds: new Set(), skippingOrderIds: new Set()};
+    if (!this.selfTradePrevention) {
+      return selfTrades;
+    }
+    let previousOrders = [];
+    for (let newOrder of auctionOrders) {
+      let selfTradeMakers = this._findSelfTradeMakers(newOrder);
+      let selfTradeOrders = previousOrders.filter(
+        order => !results.has(order.id) && this._isSelfTrade(newOrder, order) && this._doOrdersCross(newOrder, order)
+      );
+      if (
+        (this.selfTradePrevention === 'cancelNewest' && selfTradeMakers.length) ||
+        (this.selfTradePrevention !== 'cancelOldest' && selfTradeOrders.length)
+      ) {
+        results.set(newOrder.id, this._rejectOrder(newOrder, 'Self-trade prevented'));
+        continue;
+      }
+      if (this.selfTradePrevention === 'cancelOldest') {
+        for (let makerOrder of selfTradeMakers) {
+          this._removeRestingOrder(makerOrder);
+          this._emitOrderClosed(makerOrder);
+        }
+        if (selfTradeMakers.length) {
+          selfTrades.cancelledMakers.set(newOrder.id, selfTradeMakers);
+        }
+        for (let order of selfTradeOrders) {
+          results.set(order.id, this._rejectOrder(order, 'Self-trade prevented'));
+        }
+      } else if (selfTradeMakers.length) {
+        for (let makerOrder of selfTradeMakers) {
+          selfTrades.skippedMakerIds.add(makerOrder.id);
+        }
+        selfTrades.skippingOrderIds.add(newOrder.id);
+      }
+      previousOrders.push(newOrder);
+    }
+    return selfTrades;
+  }
+
+  _doOrdersCross(order, otherOrder) {
+    if (order.side === otherOrder.side) {
+      return false;
+    }
+    if (order.price == null || otherOrder.price == null) {
+      return true;
+    }
+    let bid = order.side === 'bid' ? order : otherOrder;
+    let ask = order.side === 'ask' ? order : otherOrder;
+    return bid.price >= ask.price;
+  }
+
+  _getOrderRemaining(order) {
+    return order.side === 'ask' ? order.sizeRemaining : order.valueRemaining;
+  }
+
+  // The auction is only computed here; the order book and the orders are not modified until it is applied.
+  // Skipped makers do not take part in the auction.
+  _computeAuction(auctionOrders, skippedMakerIds) {
+    let incomingBids = auctionOrders.filter(order => order.side === 'bid');
+    let incomingAsks = auctionOrders.filter(order => order.side === 'ask');
+    let sequence = 0;
+    let toParticipant = (order, isResting) => ({
+      order,
+      isResting,
+      sequence: isResting ? -1 : sequence++,
+      remaining: this._getOrderRemaining(order)
+    });
+    let incomingParticipants = auctionOrders.map(order => toParticipant(order, false));
+    let bids = this._getAuctionRestingOrders('bid', incomingAsks, skippedMakerIds)
+      .map(order => toParticipant(order, true))
+      .concat(incomingParticipants.filter(participant => participant.order.side === 'bid'));
+    let asks = this._getAuctionRestingOrders('ask', incomingBids, skippedMakerIds)
+      .map(order => toParticipant(order, true))
+      .concat(incomingParticipants.filter(participant => participant.order.side === 'ask'));
+
+    let clearing = this._computeClearingPrice(bids, asks);
+    if (!clearing) {
+      return null;
+    }
+    let {price, volume} = clearing;
+    return {
+      price,
+      bids,
+      asks,
+      bidFills: this._allocateAuctionFills(this._sortAuctionParticipants(bids, price), volume, price),
+      askFills: this._allocateAuctionFills(this._sortAuctionParticipants(asks, price), volume, price)
+    };
+  }
+
+  _getUnfilledFillOrKillOrders(auctionOrders, auction) {
+    let fillOrKillOrders = auctionOrders.filter(order => order.timeInForce === 'fok');
+    if (!auction) {
+      return fillOrKillOrders;
+    }
+    let fillSizes = new Map();
+    for (let {participant, size} of auction.bidFills.concat(auction.askFills)) {
+      fillSizes.set(participant.order.id, (fillSizes.get(participant.order.id) || 0n) + size);
+    }
+    return fillOrKillOrders.filter((order) => {
+      let capacity = this._getAuctionCapacity({order, remaining: this._getOrderRemaining(order)}, auction.price);
+      return (fillSizes.get(order.id) || 0n) < capacity;
+    });
+  }
+
+  _applyAuction(auction, auctionResults) {
+    let {price, bids, asks, bidFills, askFills} = auction;
+    let restingTakers = new Set();
+    let takerIds = new Set();
+    let bidIndex = 0;
+    let askIndex = 0;
+    let bidFillRemaining = bidFills.length ? bidFills[0].size : 0n;
+    let askFillRemaining = askFills.length ? askFills[0].size : 0n;
+    while (bidIndex < bidFills.length && askIndex < askFills.length) {
+      let bid = bidFills[bidIndex].participant;
+      let ask = askFills[askIndex].participant;
+      let fillSize = bidFillRemaining < askFillRemaining ? bidFillRemaining : askFillRemaining;
+      let fillValue = this._convertSizeToValue(fillSize, price);
+      bid.remaining -= fillValue;
+      ask.remaining -= fillSize;
+
+      // Within the batch, the order which came last is the taker.
+      let taker = bid.sequence >= ask.sequence ? bid : ask;
+      let maker = taker === bid ? ask : bid;
+      let remainingField = maker.order.side === 'ask' ? 'sizeRemaining' : 'valueRemaining';
+      let result = auctionResults.get(taker.order.id);
+      if (!result) {
+        result = {taker: null, makers: [], takeSize: 0n, takeValue: 0n};
+        auctionResults.set(taker.order.id, result);
+      }
+      if (taker.isResting) {
+        restingTakers.add(taker);
+      }
+      takerIds.add(taker.order.id);
+      let makerOrder = {
+        ...maker.order,
+        [remainingField]: maker.remaining,
+        lastSizeTaken: fillSize,
+        lastValueTaken: fillValue
+      };
+      result.makers.push(makerOrder);
+      let takerRemainingField = taker.order.side === 'ask' ? 'sizeRemaining' : 'valueRemaining';
+      this._onOrderMatched({...taker.order, [takerRemainingField]: taker.remaining}, makerOrder, price);
+      result.takeSize += fillSize;
+      result.takeValue += fillValue;
+
+      bidFillRemaining -= fillSize;
+      askFillRemaining -= fillSize;
+      if (bidFillRemaining <= 0n && ++bidIndex < bidFills.length) {
+        bidFillRemaining = bidFills[bidIndex].size;
+      }
+      if (askFillRemaining <= 0n && ++askIndex < askFills.length) {
+        askFillRemaining = askFills[askIndex].size;
+      }
+    }
+
+    for (let participant of bids.concat(asks)) {
+      let {order, remaining} = participant;
+      if (participant.isResting) {
+        let orderRemaining = this._getOrderRemaining(order);
+        if (remaining <= 0n) {
+          this._removeRestingOrder(order);
+        } else if (remaining < orderRemaining) {
+          this._resizeInOrderBook(order, orderRemaining - remaining);
+        }
+      } else {
+        if (order.side === 'ask') {
+          order.sizeRemaining = remaining;
+        } else {
+          order.valueRemaining = remaining;
+        }
+        if (takerIds.has(order.id)) {
+          this._emitOrderPartiallyFilled(order);
+        }
+      }
+    }
+    for (let participant of restingTakers) {
+      let remainingField = participant.order.side === 'ask' ? 'sizeRemaining' : 'valueRemaining';
+      auctionResults.get(participant.order.id).taker = {...participant.order, [remainingField]: participant.remaining};
+    }
+
+    this.lastPrice = price;
+    this._updateTrailingOrders(price, price);
+  }
+
+  // Only the best resting orders which could be needed to fill the incoming orders take part in the auction.
+  _getAuctionRestingOrders(side, incomingOrders, skippedMakerIds) {
+    let restingOrders = [];
+    if (!incomingOrders.length) {
+      return restingOrders;
+    }
+    let hasMarketOrders = incomingOrders.some(order => order.price == null);
+    if (side === 'ask') {
+      let maxPrice = hasMarketOrders ? Infinity : Math.max(...incomingOrders.map(order => order.price));
+      let totalValue = incomingOrders.reduce((sum, order) => sum + order.valueRemaining, 0n);
+      let valueCovered = 0n;
+      for (let ask of this.getAskIteratorFromMin()) {
+        if (ask.price > maxPrice || valueCovered >= totalValue) {
+          break;
+        }
+        if (skippedMakerIds.has(ask.id)) {
+          continue;
+        }
+        restingOrders.push(ask);
+        valueCovered += this._convertSizeToValue(ask.sizeRemaining, ask.price);
+      }
+      return restingOrders;
+    }
+    let minPrice = hasMarketOrders ? 0 : Math.min(...incomingOrders.map(order => order.price));
+    let totalSize = incomingOrders.reduce((sum, order) => sum + order.sizeRemaining, 0n);
+    let sizeCovered = 0n;
+    for (let bid of this.getBidIteratorFromMax()) {
+      if (bid.price < minPrice || sizeCovered >= totalSize) {
+        break;
+      }
+      if (skippedMakerIds.has(bid.id)) {
+        continue;
+      }
+      restingOrders.push(bid);
+      sizeCovered += this._convertValueToSize(bid.valueRemaining, bid.price);
+    }
+    return restingOrders;
+  }
+
+  _isEligibleAtPrice(order, price) {
+    if (order.price == null) {
+      return true;
+    }
+    return order.side === 'ask' ? order.price <= price : order.price >= price;
+  }
+
+  _getAuctionCapacity(participant, price) {
+    if (participant.order.side === 'ask') {
+      return participant.remaining;
+    }
+    return this._convertValueToSize(participant.remaining, price);
+  }
+
+  // The clearing price is the one which maximizes the traded size; ties are resolved in favor of the smallest
+  // imbalance, then the price closest to the last price and then the lowest price.
+  _computeClearingPrice(bids, asks) {
+    let candidatePrices = [
+      ...new Set(
+        bids.concat(asks)
+          .filter(participant => participant.order.price != null)
+          .map(participant => Math.round(participant.order.price * this.pricePrecisionFactor) / this.pricePrecisionFactor)
+      )
+    ].sort((a, b) => a - b);
+
+    let best = null;
+    for (let price of candidatePrices) {
+      let demand = 0n;
+      for (let bid of bids) {
+        if (this._isEligibleAtPrice(bid.order, price)) {
+          demand += this._getAuctionCapacity(bid, price);
+        }
+      }
+      let supply = 0n;
+      for (let ask of asks) {
+        if (this._isEligibleAtPrice(ask.order, price)) {
+          supply += this._getAuctionCapacity(ask, price);
+        }
+      }
+      let volume = demand < supply ? demand : supply;
+      let imbalance = demand < supply ? supply - demand : demand - supply;
+      let distance = this.lastPrice == null ? 0 : Math.abs(price - this.lastPrice);
+      if (
+        !best ||
+        volume > best.volume ||
+        (volume === best.volume && imbalance < best.imbalance) ||
+        (volume === best.volume && imbalance === best.imbalance && distance < best.distance)
+      ) {
+        best = {price, volume, imbalance, distance};
+      }
+    }
+    if (!best || best.volume <= 0n) {
+      return null;
+    }
+    return {price: best.price, volume: best.volume};
+  }
+
+  // Orders are sorted by price, then resting orders in time priority and then incoming orders in batch order.
+  _sortAuctionParticipants(participants, price) {
+    let isAsk = participants.length && participants[0].order.side === 'ask';
+    return participants
+      .filter(participant => this._isEligibleAtPrice(participant.order, price))
+      .sort((a, b) => {
+        let aPrice = a.order.price == null ? (isAsk ? -Infinity : Infinity) : a.order.price;
+        let bPrice = b.order.price == null ? (isAsk ? -Infinity : Infinity) : b.order.price;
+        if (aPrice !== bPrice) {
+          return isAsk ? aPrice - bPrice : bPrice - aPrice;
+        }
+        return a.sequence - b.sequence;
+      });
+  }
+
+  // Resting orders keep their time priority (unless the price level allocation is pro rata) but incoming orders
+  // at the same price share the remaining volume pro rata so that they cannot gain an advantage from their
+  // position in the batch.
+  _allocateAuctionFills(participants, volume, price) {
+    let fills = [];
+    let volumeRemaining = volume;
+    let index = 0;
+    while (index < participants.length && volumeRemaining > 0n) {
+      let group = [participants[index]];
+      let {isResting} = participants[index];
+      if (!isResting || this.priceLevelAllocation === 'proRata') {
+        let groupPrice = participants[index].order.price;
+        while (
+          index + group.length < participants.length &&
+          participants[index + group.length].isResting === isResting &&
+          participants[index + group.length].order.price === groupPrice
+        ) {
+          group.push(participants[index + group.length]);
+        }
+      }
+      let capacities = group.map(participant => this._getAuctionCapacity(participant, price));
+      let groupCapacity = capacities.reduce((sum, capacity) => sum + capacity, 0n);
+      let sizes;
+      if (groupCapacity <= volumeRemaining) {
+        sizes = capacities;
+        volumeRemaining -= groupCapacity;
+      } else {
+        sizes = allocateProRata(volumeRemaining, capacities);
+        volumeRemaining = 0n;
+      }
+      group.forEach((participant, i) => {
+        if (sizes[i] > 0n) {
+          fills.push({participant, size: sizes[i]});
+        }
+      });
+      index += group.length;
+    }
+    return fills;
+  }
+
+  addTriggerOrder(order) {
     this.trackProcessedOrder(order);
 
-    let existingOrder = this.orderBook.has(order.id);
+    let existingOrder = this.orderBook.has(order.id) || this._isHeldOrder(order.id);
 
     if (existingOrder) {
       let error = new Error(`An order with ID ${order.id} already exists`);
@@ -141,6 +1180,116 @@ class TradeEngine {
       throw error;
     }
 
+    let newOrder = this._createOrder(order);
+    // A trigger order becomes a market order unless it specifies a limit price.
+    newOrder.type = newOrder.price == null ? 'market' : 'limit';
+    newOrder.triggerType = order.type;
+    if (order.type === 'trailing') {
+      if (order.trailingPercentage != null) {
+        newOrder.trailingPercentage = order.trailingPercentage;
+      } else {
+        newOrder.trailingOffset = order.trailingOffset;
+      }
+      // The trigger price is only known once there is a traded price to follow.
+      newOrder.trailingReferencePrice = null;
+      newOrder.triggerPrice = null;
+      if (this.lastPrice != null) {
+        this._setTrailingReferencePrice(newOrder, this.lastPrice);
+      }
+    } else {
+      newOrder.triggerPrice = order.triggerPrice;
+    }
+    if (newOrder.side === 'ask') {
+      newOrder.sizeRemaining = BigInt(newOrder.size);
+    } else {
+      newOrder.valueRemaining = BigInt(newOrder.value);
+    }
+    this._triggerOrderMap.set(newOrder.id, newOrder);
+    this._invalidateStateTree();
+    this._addToExpiryIndex(newOrder);
+    this.emit('orderAdded', {order: {...newOrder}});
+
+    return newOrder;
+  }
+
+  _isTriggerPriceReached(order, price) {
+    if (order.triggerPrice == null) {
+      return false;
+    }
+    let isAboveTrigger = price >= order.triggerPrice;
+    let isBelowTrigger = price <= order.triggerPrice;
+    if (order.triggerType === 'stop' || order.triggerType === 'trailing') {
+      return order.side === 'ask' ? isBelowTrigger : isAboveTrigger;
+    }
+    return order.side === 'ask' ? isAboveTrigger : isBelowTrigger;
+  }
+
+  // A trailing ask follows the highest traded price and a trailing bid follows the lowest traded price.
+  _updateTrailingOrders(highestPrice, lowestPrice) {
+    for (let order of this._triggerOrderMap.values()) {
+      if (order.triggerType !== 'trailing') {
+        continue;
+      }
+      if (order.side === 'ask') {
+        if (order.trailingReferencePrice == null || highestPrice > order.trailingReferencePrice) {
+          this._setTrailingReferencePrice(order, highestPrice);
+        }
+      } else if (order.trailingReferencePrice == null || lowestPrice < order.trailingReferencePrice) {
+        this._setTrailingReferencePrice(order, lowestPrice);
+      }
+    }
+  }
+
+  _setTrailingReferencePrice(order, referencePrice) {
+    let trailingDistance;
+    if (order.trailingPercentage != null) {
+      trailingDistance = referencePrice * order.trailingPercentage / 100;
+    } else {
+      trailingDistance = order.trailingOffset;
+    }
+    let triggerPrice = order.side === 'ask' ? referencePrice - trailingDistance : referencePrice + trailingDistance;
+    order.trailingReferencePrice = referencePrice;
+    order.triggerPrice = Math.round(triggerPrice * this.pricePrecisionFactor) / this.pricePrecisionFactor;
+    this._invalidateStateTree();
+  }
+
+  _extractTriggeredOrders() {
+    let triggeredOrders = [];
+    if (this.lastPrice == null) {
+      return triggeredOrders;
+    }
+    for (let [orderId, order] of this._triggerOrderMap) {
+      if (this._isTriggerPriceReached(order, this.lastPrice)) {
+        triggeredOrders.push(order);
+        this._triggerOrderMap.delete(orderId);
+        this._invalidateStateTree();
+        this._removeFromExpiryIndex(order);
+      }
+    }
+    return triggeredOrders;
+  }
+
+  // Trades made by triggered orders can move the last price and trigger more orders
+  // so this keeps going until the trigger orders settle.
+  processTriggerOrders() {
+    let results = [];
+    let triggeredOrders = this._extractTriggeredOrders();
+    while (triggeredOrders.length) {
+      if (this.isAuctionInProgress()) {
+        triggeredOrders.forEach(order => this._addToAuction(order));
+      } else if (this.matchingMode === 'batch') {
+        results.push(...this.matchOrderBatch(triggeredOrders));
+      } else {
+        for (let order of triggeredOrders) {
+          results.push(this._matchOrder(order));
+        }
+      }
+      triggeredOrders = this._extractTriggeredOrders();
+    }
+    return results;
+  }
+
+  _createOrder(order) {
     let orderHeightExpiry;
     if (order.sourceChain === this.quoteCurrency) {
       orderHeightExpiry = this.quoteOrderHeightExpiry;
@@ -160,6 +1309,15 @@ class TradeEngine {
     if (order.price != null) {
       newOrder.price = order.price;
     }
+    if (order.timeInForce != null) {
+      newOrder.timeInForce = order.timeInForce;
+    }
+    if (order.postOnly) {
+      newOrder.postOnly = true;
+    }
+    if (order.expiryTimestamp != null) {
+      newOrder.expiryTimestamp = order.expiryTimestamp;
+    }
     newOrder.type = order.type;
     newOrder.targetChain = order.targetChain;
     newOrder.targetWalletAddress = order.targetWalletAddress;
@@ -167,45 +1325,122 @@ class TradeEngine {
     newOrder.sourceChain = order.sourceChain;
     newOrder.sourceChainAmount = order.sourceChainAmount;
     newOrder.sourceWalletAddress = order.sourceWalletAddress;
+    if (order.referrerAddress != null) {
+      newOrder.referrerAddress = order.referrerAddress;
+    }
     newOrder.height = order.height;
-    newOrder.expiryHeight = order.height + orderHeightExpiry;
+    let maxExpiryHeight = order.height + orderHeightExpiry;
+    if (order.expiryHeight == null) {
+      newOrder.expiryHeight = maxExpiryHeight;
+    } else {
+      newOrder.expiryHeight = Math.min(order.expiryHeight, maxExpiryHeight);
+    }
     newOrder.timestamp = order.timestamp;
 
-    let result = this._addToOrderBook(newOrder);
+    return newOrder;
+  }
+
+  _addOrder(newOrder, canRest = true) {
+    // A market order with a worst price is matched like a limit order but it never rests in the order book.
+    let hasWorstPrice = newOrder.type === 'market' && newOrder.price != null;
+    let result;
+    if (hasWorstPrice) {
+      newOrder.type = 'limit';
+      result = this._addToOrderBook(newOrder);
+      newOrder.type = 'market';
+      result.taker.type = 'market';
+    } else {
+      result = this._addToOrderBook(newOrder);
+    }
 
     result.makers.forEach((makerOrder) => {
       if (makerOrder.side === 'ask') {
         if (makerOrder.sizeRemaining <= 0n) {
           this._askMap.delete(makerOrder.id);
           this._orderMap.delete(makerOrder.id);
+          this._removeFromExpiryIndex(makerOrder);
           this._removeFromWalletOrderMap(makerOrder.sourceWalletAddress, makerOrder.id);
         }
       } else {
         if (makerOrder.valueRemaining <= 0n) {
           this._bidMap.delete(makerOrder.id);
           this._orderMap.delete(makerOrder.id);
+          this._removeFromExpiryIndex(makerOrder);
           this._removeFromWalletOrderMap(makerOrder.sourceWalletAddress, makerOrder.id);
         }
       }
     });
 
-    if (newOrder.type !== 'market') {
-      if (newOrder.side === 'ask') {
-        if (result.taker.sizeRemaining > 0n) {
-          this._askMap.set(newOrder.id, newOrder);
-          this._orderMap.set(newOrder.id, newOrder);
-          this._addToWalletOrderMap(newOrder);
-        }
-      } else if (result.taker.valueRemaining > 0n) {
-        this._bidMap.set(newOrder.id, newOrder);
-        this._orderMap.set(newOrder.id, newOrder);
-        this._addToWalletOrderMap(newOrder);
+    for (let makerOrder of result.makers) {
+      this._onOrderMatched(result.taker, makerOrder, makerOrder.price);
+    }
+    if (result.makers.length) {
+      this._emitOrderPartiallyFilled(result.taker);
+    }
+
+    if (result.makers.length) {
+      let makerPrices = result.makers.map(makerOrder => makerOrder.price);
+      this.lastPrice = makerPrices[makerPrices.length - 1];
+      this._updateTrailingOrders(Math.max(...makerPrices), Math.min(...makerPrices));
+    }
+
+    // Immediate-or-cancel and fill-or-kill orders never rest in the order book.
+    if (hasWorstPrice || (newOrder.type !== 'market' && (newOrder.timeInForce || !canRest))) {
+      let orderRemaining = newOrder.side === 'ask' ? result.taker.sizeRemaining : result.taker.valueRemaining;
+      if (orderRemaining > 0n) {
+        this._removeFromOrderBook(newOrder.id);
+      }
+    } else if (newOrder.type !== 'market') {
+      let orderRemaining = newOrder.side === 'ask' ? result.taker.sizeRemaining : result.taker.valueRemaining;
+      if (orderRemaining > 0n) {
+        this._indexRestingOrder(newOrder);
+        this.emit('orderAdded', {order: {...result.taker}});
       }
     }
 
     return result;
   }
 
+  // The order must not cross the order book since it is not matched.
+  _addRestingOrder(order) {
+    let result = this._addToOrderBook(order);
+    this._indexRestingOrder(order);
+    this.emit('orderAdded', {order: {...result.taker}});
+  }
+
+  _indexRestingOrder(order) {
+    if (order.side === 'ask') {
+      this._askMap.set(order.id, order);
+    } else {
+      this._bidMap.set(order.id, order);
+    }
+    this._orderMap.set(order.id, order);
+    this._addToWalletOrderMap(order);
+    this._addToExpiryIndex(order);
+  }
+
+  _onOrderMatched(takerOrder, makerOrder, price) {
+    this._addWalletVolume(takerOrder.sourceWalletAddress, makerOrder.lastValueTaken);
+    this._addWalletVolume(makerOrder.sourceWalletAddress, makerOrder.lastValueTaken);
+    this.emit('orderMatched', {
+      takerOrderId: takerOrder.id,
+      makerOrderId: makerOrder.id,
+      price,
+      size: makerOrder.lastSizeTaken,
+      value: makerOrder.lastValueTaken,
+      taker: {...takerOrder},
+      maker: {...makerOrder}
+    });
+    this._emitOrderPartiallyFilled(makerOrder);
+  }
+
+  _emitOrderPartiallyFilled(order) {
+    let orderRemaining = order.side === 'ask' ? order.sizeRemaining : order.valueRemaining;
+    if (orderRemaining > 0n) {
+      this.emit('orderPartiallyFilled', {order: {...order}});
+    }
+  }
+
   _addToWalletOrderMap(order) {
     if (!this._sourceWalletOrderMap.has(order.sourceWalletAddress)) {
       this._sourceWalletOrderMap.set(order.sourceWalletAddress, new Map());
@@ -253,10 +1488,41 @@ class TradeEngine {
     return this._orderMap.get(orderId);
   }
 
+  getTriggerOrder(orderId) {
+    return this._triggerOrderMap.get(orderId);
+  }
+
+  getAuctionOrder(orderId) {
+    return this._auctionOrderMap.get(orderId);
+  }
+
+  // Trigger orders and orders which are waiting for an auction to end are held outside of the order book.
+  _isHeldOrder(orderId) {
+    return this._triggerOrderMap.has(orderId) || this._auctionOrderMap.has(orderId);
+  }
+
+  _removeHeldOrder(order) {
+    this._triggerOrderMap.delete(order.id);
+    this._auctionOrderMap.delete(order.id);
+    this._invalidateStateTree();
+    this._removeFromExpiryIndex(order);
+  }
+
   addCloseOrder(order) {
     this.trackProcessedOrder(order);
 
     let targetOrderId = order.orderIdToClose;
+    let targetHeldOrder = this.getTriggerOrder(targetOrderId) || this.getAuctionOrder(targetOrderId);
+    if (targetHeldOrder) {
+      if (this._isPartialClose(targetHeldOrder, order.amountToClose)) {
+        this._reduceOrderRemaining(targetHeldOrder, order.amountToClose);
+        this._emitOrderClosed(targetHeldOrder, order.amountToClose);
+        return targetHeldOrder;
+      }
+      this._removeHeldOrder(targetHeldOrder);
+      this._emitOrderClosed(targetHeldOrder);
+      return targetHeldOrder;
+    }
     let targetOrder = this.getOrder(targetOrderId);
     if (!targetOrder) {
       throw new Error(
@@ -264,6 +1530,13 @@ class TradeEngine {
       );
     }
 
+    if (this._isPartialClose(targetOrder, order.amountToClose)) {
+      let result = this._resizeInOrderBook(targetOrder, order.amountToClose);
+      this._emitOrderClosed(targetOrder, order.amountToClose);
+      return result;
+    }
+
+    this._emitOrderClosed(targetOrder);
     let result = this._removeFromOrderBook(targetOrderId);
     if (targetOrder.side === 'ask') {
       this._askMap.delete(targetOrderId);
@@ -272,9 +1545,123 @@ class TradeEngine {
     }
     this._orderMap.delete(targetOrderId);
     this._removeFromWalletOrderMap(targetOrder.sourceWalletAddress, targetOrderId);
+    this._removeFromExpiryIndex(targetOrder);
     return result;
   }
 
+  // The order is moved to the new price with its remaining amount; it loses its time priority and
+  // it can be matched against the order book like a new order. The modify order is only tracked as processed
+  // once it has been validated.
+  addModifyOrder(order) {
+    let targetOrderId = order.orderIdToModify;
+    let targetOrder = this.getOrder(targetOrderId);
+    if (!targetOrder) {
+      let error = new Error(
+        `An order with ID ${targetOrderId} could not be found`
+      );
+      error.name = 'OrderNotFoundError';
+      throw error;
+    }
+
+    let modifiedOrder = this._createOrder({...targetOrder, price: order.price});
+    if (modifiedOrder.side === 'ask') {
+      modifiedOrder.size = targetOrder.sizeRemaining;
+    } else {
+      modifiedOrder.value = targetOrder.valueRemaining;
+    }
+
+    if (!this._isWithinPriceBand(modifiedOrder, this.getReferencePrice())) {
+      let error = new Error(
+        `Could not modify order with ID ${targetOrderId} because the price ${order.price} is outside of the price band`
+      );
+      error.name = 'PriceBandError';
+      throw error;
+    }
+
+    if (modifiedOrder.postOnly && this._wouldTakeLiquidity(modifiedOrder)) {
+      let error = new Error(
+        `Could not modify post-only order with ID ${targetOrderId} because it would take liquidity at the price ${order.price}`
+      );
+      error.name = 'PostOnlyOrderError';
+      throw error;
+    }
+
+    this.trackProcessedOrder(order);
+    this._removeRestingOrder(targetOrder);
+
+    if (this.isAuctionInProgress()) {
+      this._addToAuction(modifiedOrder);
+      return {taker: {...modifiedOrder}, makers: [], takeSize: 0n, takeValue: 0n};
+    }
+    if (this.matchingMode === 'batch') {
+      return this.matchOrderBatch([modifiedOrder])[0];
+    }
+    return this._matchOrder(modifiedOrder);
+  }
+
+  addCloseAllOrder(order) {
+    this.trackProcessedOrder(order);
+
+    let targetOrders = this.getSourceWalletCloseableOrders(order.sourceWalletAddress, order.sourceChain);
+    for (let targetOrder of targetOrders) {
+      this._emitOrderClosed(targetOrder);
+      if (this._isHeldOrder(targetOrder.id)) {
+        this._removeHeldOrder(targetOrder);
+      } else {
+        this._removeRestingOrder(targetOrder);
+      }
+    }
+    return targetOrders;
+  }
+
+  // Includes pending trigger and auction orders since they are not indexed by wallet address.
+  getSourceWalletCloseableOrders(sourceWalletAddress, sourceChain) {
+    let orders = [];
+    for (let order of this.getSourceWalletOrderIterator(sourceWalletAddress)) {
+      if (order.sourceChain === sourceChain) {
+        orders.push(order);
+      }
+    }
+    for (let order of [...this._triggerOrderMap.values(), ...this._auctionOrderMap.values()]) {
+      if (order.sourceWalletAddress === sourceWalletAddress && order.sourceChain === sourceChain) {
+        orders.push(order);
+      }
+    }
+    return orders;
+  }
+
+  // If no amount is specified, the whole remaining amount of the order is closed.
+  _emitOrderClosed(order, amount) {
+    let orderRemaining = order.side === 'ask' ? order.sizeRemaining : order.valueRemaining;
+    this.emit('orderClosed', {
+      order: {...order},
+      amount: amount == null ? orderRemaining : amount
+    });
+  }
+
+  _isPartialClose(targetOrder, amountToClose) {
+    if (amountToClose == null) {
+      return false;
+    }
+    let orderRemaining = targetOrder.side === 'ask' ? targetOrder.sizeRemaining : targetOrder.valueRemaining;
+    return amountToClose < orderRemaining;
+  }
+
+  _reduceOrderRemaining(order, amount) {
+    if (order.side === 'ask') {
+      order.sizeRemaining -= amount;
+    } else {
+      order.valueRemaining -= amount;
+    }
+    this._invalidateStateTree();
+  }
+
+  // The order stays in its position within the price level so it keeps its time priority.
+  _resizeInOrderBook(order, amount) {
+    this._invalidateStateTree();
+    return this.orderBook.resize(order.id, amount);
+  }
+
   peekBids() {
     return this.orderBook.getMaxBid();
   }
@@ -319,6 +1706,14 @@ class TradeEngine {
     return this._orderMap.values();
   }
 
+  getTriggerOrderIterator() {
+    return this._triggerOrderMap.values();
+  }
+
+  getAuctionOrderIterator() {
+    return this._auctionOrderMap.values();
+  }
+
   getBids() {
     return [...this.getBidIteratorFromMax()];
   }
@@ -331,6 +1726,14 @@ class TradeEngine {
     return [...this.getOrderIterator()];
   }
 
+  getTriggerOrders() {
+    return [...this.getTriggerOrderIterator()];
+  }
+
+  getAuctionOrders() {
+    return [...this.getAuctionOrderIterator()];
+  }
+
   getSnapshot() {
     let askLimitOrders = mapListFields(this.getAsks(), {
       size: String,
@@ -346,49 +1749,94 @@ class TradeEngine {
       lastValueTaken: String,
       sourceChainAmount: String
     });
+    let triggerOrders = mapListFields(this.getTriggerOrders(), {
+      size: String,
+      value: String,
+      sizeRemaining: String,
+      valueRemaining: String,
+      sourceChainAmount: String
+    });
+    let auctionOrders = mapListFields(this.getAuctionOrders(), {
+      size: String,
+      value: String,
+      sizeRemaining: String,
+      valueRemaining: String,
+      sourceChainAmount: String
+    });
+    let referralCredits = {};
+    for (let [chainSymbol, chainCredits] of Object.entries(this._referralCredits)) {
+      referralCredits[chainSymbol] = [];
+      for (let [walletAddress, creditEntries] of chainCredits) {
+        for (let {height, amount} of creditEntries) {
+          referralCredits[chainSymbol].push({walletAddress, height, amount: String(amount)});
+        }
+      }
+    }
+    let lastProcessedHeightsInfo = {};
+    for (let [chainSymbol, chainInfo] of Object.entries(this.lastProcessedHeightsInfo)) {
+      lastProcessedHeightsInfo[chainSymbol] = {
+        height: chainInfo.height,
+        orderIds: [...chainInfo.orderIds]
+      };
+    }
     return {
+      version: SNAPSHOT_VERSION,
       orderBookHash: this.orderBookHash,
+      lastProcessedHeightsInfo,
+      lastPrice: this.lastPrice,
       askLimitOrders,
-      bidLimitOrders
+      bidLimitOrders,
+      triggerOrders,
+      auctionEndHeight: this.auctionEndHeight,
+      auctionOrders,
+      circuitBreakerPrices: this._circuitBreakerPrices.map(entry => ({...entry})),
+      walletVolumeHeight: this._walletVolumeHeight,
+      walletVolumes: this._walletVolumeBuckets.flatMap(({bucket, volumes}) => {
+        return [...volumes].map(([walletAddress, volume]) => ({bucket, walletAddress, volume: String(volume)}));
+      }),
+      pendingWalletVolumes: [...this._pendingWalletVolumeMap].map(([walletAddress, volume]) => {
+        return {walletAddress, volume: String(volume)};
+      }),
+      referralCredits
     };
   }
 
   _addToOrderBook(order) {
-    this.orderBookHash = this._sha1(`${this.orderBookHash}+${order.id}`);
+    this._invalidateStateTree();
     return this.orderBook.add(order);
   }
 
   _removeFromOrderBook(orderId) {
-    this.orderBookHash = this._sha1(`${this.orderBookHash}-${orderId}`);
+    this._invalidateStateTree();
     return this.orderBook.remove(orderId);
   }
 
   setSnapshot(snapshot) {
+    let snapshotVersion = snapshot.version || 1;
+    if (snapshotVersion > SNAPSHOT_VERSION) {
+      let error = new Error(
+        `Could not load snapshot with version ${snapshotVersion}; the highest supported version is ${SNAPSHOT_VERSION}`
+      );
+      error.name = 'UnsupportedSnapshotVersionError';
+      throw error;
+    }
     this.clear();
-    snapshot.askLimitOrders.sort((a, b) => {
-      if (a.expiryHeight > b.expiryHeight) {
-        return 1;
-      }
-      if (a.expiryHeight < b.expiryHeight) {
-        return -1;
+    if (snapshot.lastProcessedHeightsInfo) {
+      for (let [chainSymbol, chainInfo] of Object.entries(snapshot.lastProcessedHeightsInfo)) {
+        this.lastProcessedHeightsInfo[chainSymbol] = {
+          height: chainInfo.height,
+          orderIds: new Set(chainInfo.orderIds)
+        };
       }
-      return 0;
-    });
-    snapshot.bidLimitOrders.sort((a, b) => {
-      if (a.expiryHeight > b.expiryHeight) {
-        return 1;
-      }
-      if (a.expiryHeight < b.expiryHeight) {
-        return -1;
-      }
-      return 0;
-    });
+    }
+    // Snapshot orders are listed in price-time priority so they need to be re-inserted in the same order.
     snapshot.askLimitOrders.forEach((order) => {
       let newOrder = {...order};
       this._addToOrderBook(newOrder);
       this._askMap.set(newOrder.id, newOrder);
       this._orderMap.set(newOrder.id, newOrder);
       this._addToWalletOrderMap(newOrder);
+      this._addToExpiryIndex(newOrder);
     });
     snapshot.bidLimitOrders.forEach((order) => {
       let newOrder = {...order};
@@ -396,20 +1844,81 @@ class TradeEngine {
       this._bidMap.set(newOrder.id, newOrder);
       this._orderMap.set(newOrder.id, newOrder);
       this._addToWalletOrderMap(newOrder);
+      this._addToExpiryIndex(newOrder);
     });
-    if (snapshot.orderBookHash) {
-      this.orderBookHash = snapshot.orderBookHash
+    (snapshot.triggerOrders || []).forEach((order) => {
+      let newOrder = {...order};
+      if (newOrder.side === 'ask') {
+        newOrder.sizeRemaining = BigInt(newOrder.sizeRemaining);
+      } else {
+        newOrder.valueRemaining = BigInt(newOrder.valueRemaining);
+      }
+      this._triggerOrderMap.set(newOrder.id, newOrder);
+      this._addToExpiryIndex(newOrder);
+    });
+    (snapshot.auctionOrders || []).forEach((order) => {
+      let newOrder = {...order};
+      if (newOrder.side === 'ask') {
+        newOrder.sizeRemaining = BigInt(newOrder.sizeRemaining);
+      } else {
+        newOrder.valueRemaining = BigInt(newOrder.valueRemaining);
+      }
+      this._auctionOrderMap.set(newOrder.id, newOrder);
+      this._addToExpiryIndex(newOrder);
+    });
+    if (snapshot.auctionEndHeight != null) {
+      this.auctionEndHeight = snapshot.auctionEndHeight;
+    }
+    if (snapshot.lastPrice != null) {
+      this.lastPrice = snapshot.lastPrice;
+    }
+    if (snapshot.circuitBreakerPrices) {
+      this._circuitBreakerPrices = snapshot.circuitBreakerPrices.map(entry => ({...entry}));
+    }
+    if (snapshot.walletVolumeHeight != null) {
+      this._walletVolumeHeight = snapshot.walletVolumeHeight;
+    }
+    if (this.walletVolumeWindow != null) {
+      for (let entry of snapshot.walletVolumes || []) {
+        // Entries from older snapshots have the height at which the volume was traded instead of a bucket.
+        let bucket = entry.bucket == null ? Math.floor(entry.height / this.walletVolumeBucketSize) : entry.bucket;
+        this._addBucketWalletVolume(bucket, entry.walletAddress, BigInt(entry.volume));
+      }
+      for (let {walletAddress, volume} of snapshot.pendingWalletVolumes || []) {
+        this._pendingWalletVolumeMap.set(walletAddress, BigInt(volume));
+      }
+    }
+    for (let [chainSymbol, chainCredits] of Object.entries(snapshot.referralCredits || {})) {
+      // Credits from older snapshots do not have a height.
+      for (let {walletAddress, height, amount} of chainCredits) {
+        this.addReferralCredit(chainSymbol, walletAddress, BigInt(amount), height || 0);
+      }
     }
+    this._invalidateStateTree();
+    this.emit('snapshotRestored', {orderBookHash: this.orderBookHash});
   }
 
   clear() {
-    this.orderBookHash = EMPTY_ORDER_BOOK_HASH;
+    this.lastPrice = null;
+    this.auctionEndHeight = null;
+    this._circuitBreakerPrices = [];
+    this._walletVolumeHeight = 0;
+    this._walletVolumeBuckets = [];
+    this._pendingWalletVolumeMap.clear();
+    this._walletVolumeMap.clear();
+    this._referralCredits = {};
     this._resetProcessedHeightsInfo();
+    this._triggerOrderMap.clear();
+    this._auctionOrderMap.clear();
+    this._askExpiryIndex.clear();
+    this._bidExpiryIndex.clear();
+    this._timestampExpiryIndex.clear();
     this._askMap.clear();
     this._bidMap.clear();
     this._orderMap.clear();
     this._sourceWalletOrderMap.clear();
     this.orderBook.clear();
+    this._invalidateStateTree();
   }
 }
 
@@ -1,3 +1,5 @@
+const crypto = require('crypto');
+
 function mapListFields(list, fieldMapper) {
   let fieldList = Object.keys(fieldMapper);
   return list.map((item) => {
@@ -11,6 +13,107 @@ function mapListFields(list, fieldMapper) {
   });
 }
 
+// Shares are rounded down and the units which are left over go to the earliest entries so that the result
+// is deterministic; the amount should not be greater than the sum of the weights.
+function allocateProRata(amount, weights) {
+  let totalWeight = weights.reduce((sum, weight) => sum + weight, 0n);
+  let shares = weights.map(weight => totalWeight > 0n ? amount * weight / totalWeight : 0n);
+  let leftover = amount - shares.reduce((sum, share) => sum + share, 0n);
+  for (let i = 0; i < shares.length && leftover > 0n; i++) {
+    if (shares[i] < weights[i]) {
+      shares[i]++;
+      leftover--;
+    }
+  }
+  return shares;
+}
+
+// Unlike allocateProRata, the whole amount is always handed out (unless all the weights are 0) even if it is
+// greater than the sum of the weights; the units which are left over go to the earliest entries with a weight.
+function distributeProRata(amount, weights) {
+  let totalWeight = weights.reduce((sum, weight) => sum + weight, 0n);
+  if (totalWeight <= 0n) {
+    return weights.map(() => 0n);
+  }
+  let shares = weights.map(weight => amount * weight / totalWeight);
+  let leftover = amount - shares.reduce((sum, share) => sum + share, 0n);
+  for (let i = 0; i < shares.length && leftover > 0n; i++) {
+    if (weights[i] > 0n) {
+      shares[i]++;
+      leftover--;
+    }
+  }
+  return shares;
+}
+
+const EMPTY_MERKLE_ROOT = '0000000000000000000000000000000000000000000000000000000000000000';
+
+// Leaves and internal nodes are hashed with different prefixes so that an internal node cannot be passed off as a leaf.
+function hashMerkleLeaf(leaf) {
+  return crypto.createHash('sha256').update(Buffer.from([0])).update(leaf).digest('hex');
+}
+
+function hashPair(leftHash, rightHash) {
+  return crypto.createHash('sha256')
+    .update(Buffer.from([1]))
+    .update(Buffer.from(leftHash, 'hex'))
+    .update(Buffer.from(rightHash, 'hex'))
+    .digest('hex');
+}
+
+// If a level has an odd number of nodes, the last node is carried up to the next level as is.
+function computeNextMerkleLevel(level) {
+  let nextLevel = [];
+  for (let i = 0; i < level.length; i += 2) {
+    nextLevel.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+  }
+  return nextLevel;
+}
+
+function computeMerkleRoot(leafHashes) {
+  if (!leafHashes.length) {
+    return EMPTY_MERKLE_ROOT;
+  }
+  let level = leafHashes;
+  while (level.length > 1) {
+    level = computeNextMerkleLevel(level);
+  }
+  return level[0];
+}
+
+// Each proof step contains the sibling hash and whether it goes on the left or on the right.
+function computeMerkleProof(leafHashes, leafIndex) {
+  let proof = [];
+  let level = leafHashes;
+  let index = leafIndex;
+  while (level.length > 1) {
+    let siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+    if (siblingIndex < level.length) {
+      proof.push({
+        position: siblingIndex < index ? 'left' : 'right',
+        hash: level[siblingIndex]
+      });
+    }
+    level = computeNextMerkleLevel(level);
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
+
+function verifyMerkleProof(leafHash, proof, merkleRoot) {
+  let hash = leafHash;
+  for (let step of proof) {
+    hash = step.position === 'left' ? hashPair(step.hash, hash) : hashPair(hash, step.hash);
+  }
+  return hash === merkleRoot;
+}
+
 module.exports = {
-  mapListFields
+  mapListFields,
+  allocateProRata,
+  distributeProRata,
+  hashMerkleLeaf,
+  computeMerkleRoot,
+  computeMerkleProof,
+  verifyMerkleProof
 };